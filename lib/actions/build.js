@@ -1,16 +1,145 @@
 #!/usr/bin/env node
 
+const { parseArgs } = require('util');
+const config = require('../config');
 const { build } = require('../engine/build');
 const logger = require('../logger');
 
+const USAGE = `Usage: campaign-build [options]
+
+  --campaign <slugs>     Build only these campaigns (comma-separated, globs allowed)
+  --src <dir>            Source directory (default: src/)
+  --output <dir>         Output directory (default: _site/)
+  --campaigns <file>     Campaign registry (default: _data/campaigns.json)
+  --data <dir>           Global data files (default: _data/)
+  --config <file>        Project settings (default: campaign.config.json)
+  --env <name>           Build environment: applies its campaign overrides
+  --concurrency <n>      Render pages on n worker threads
+  --fingerprint          Write content-hashed asset names
+  --clean                Remove stale output of the campaigns built
+  --dry-run              With --clean, only list what would be removed
+  --json                 Print a JSON build report to stdout (logs go to stderr)
+  -h, --help             Show this help`;
+
+/**
+ * Parse campaign-build command line arguments into build options.
+ * Throws on unknown options or invalid values.
+ *
+ * @param {string[]} argv - Arguments after the executable and script
+ * @returns {{ campaigns: string[], srcPath?: string, outputPath?: string, campaignsPath?: string,
+ *             dataPath?: string, configPath?: string, env?: string, concurrency: number, fingerprint: boolean, clean: boolean, dryRun: boolean,
+ *             json: boolean, help: boolean }}
+ */
+function parseBuildArgs(argv) {
+    const { values } = parseArgs({
+        args: argv,
+        options: {
+            campaign: { type: 'string', multiple: true },
+            src: { type: 'string' },
+            output: { type: 'string' },
+            campaigns: { type: 'string' },
+            data: { type: 'string' },
+            config: { type: 'string' },
+            env: { type: 'string' },
+            concurrency: { type: 'string' },
+            fingerprint: { type: 'boolean' },
+            clean: { type: 'boolean' },
+            'dry-run': { type: 'boolean' },
+            json: { type: 'boolean' },
+            help: { type: 'boolean', short: 'h' },
+        },
+    });
+
+    let concurrency = 1;
+    if (values.concurrency !== undefined) {
+        concurrency = Number(values.concurrency);
+        if (!Number.isInteger(concurrency) || concurrency < 1) {
+            throw new Error(`--concurrency must be a positive number, got "${values.concurrency}"`);
+        }
+    }
+
+    return {
+        campaigns: (values.campaign || []).flatMap(v => v.split(',')).map(v => v.trim()).filter(Boolean),
+        srcPath: values.src,
+        outputPath: values.output,
+        campaignsPath: values.campaigns,
+        dataPath: values.data,
+        configPath: values.config,
+        env: values.env,
+        concurrency,
+        fingerprint: !!values.fingerprint,
+        clean: !!values.clean || !!values['dry-run'],
+        dryRun: !!values['dry-run'],
+        json: !!values.json,
+        help: !!values.help,
+    };
+}
+
+/**
+ * Shape a build() result into the JSON report printed by --json.
+ */
+function buildReport(result, campaigns) {
+    return {
+        success: result.errors === 0,
+        built: result.built,
+        ms: result.ms,
+        campaigns,
+        errors: result.pages
+            .filter(page => page.error)
+            .map(page => ({ file: page.file, message: page.error, ms: page.ms })),
+        warnings: result.warnings || [],
+        pages: result.pages,
+        pruned: result.pruned || [],
+    };
+}
+
 async function main() {
-    const { built, errors, ms } = await build();
+    const args = parseBuildArgs(process.argv.slice(2));
+    if (args.help) {
+        console.log(USAGE);
+        return;
+    }
+    if (args.json) logger.useStderr();
+
+    let campaigns = config.resolveEnvironment(config.loadCampaigns(args.campaignsPath), args.env, args.campaignsPath);
+    if (args.campaigns.length > 0) {
+        campaigns = config.selectCampaigns(campaigns, args.campaigns);
+    }
+
+    if (args.env) logger.info(`Environment: \x1b[36m${args.env}\x1b[0m`);
+
+    const result = await build({
+        srcPath: args.srcPath && config.getSrcPath(args.srcPath),
+        outputPath: args.outputPath && config.getOutputPath(args.outputPath),
+        campaignsPath: args.campaignsPath,
+        dataPath: args.dataPath,
+        configPath: args.configPath,
+        env: args.env,
+        campaigns,
+        concurrency: args.concurrency,
+        fingerprint: args.fingerprint,
+        clean: args.clean,
+        dryRun: args.dryRun,
+    });
+
+    const { built, errors, ms, pruned } = result;
     const timing = ms < 1000 ? `${ms}ms` : `${(ms / 1000).toFixed(2)}s`;
     logger.info(`Built ${built} page${built !== 1 ? 's' : ''} in ${timing}${errors ? ` (${errors} error${errors !== 1 ? 's' : ''})` : ''}`);
+    if (pruned && pruned.length > 0) {
+        logger.info(`${args.dryRun ? 'Would remove' : 'Removed'} ${pruned.length} stale file${pruned.length !== 1 ? 's' : ''}`);
+    }
+
+    if (args.json) {
+        console.log(JSON.stringify(buildReport(result, Object.keys(campaigns)), null, 2));
+    }
     if (errors > 0) process.exit(1);
 }
 
-main().catch(err => {
-    logger.error(err.message);
-    process.exit(1);
-});
+if (require.main === module) {
+    main().catch(err => {
+        logger.error(err.message);
+        process.exit(1);
+    });
+}
+
+module.exports = { parseBuildArgs, buildReport };
@@ -1,10 +1,13 @@
 #!/usr/bin/env node
 
+const fs = require('fs');
 const path = require('path');
 const { execSync } = require('child_process');
 const config = require('../config');
 const { build } = require('../engine/build');
+const { createDependencyGraph } = require('../engine/deps');
 const { serve } = require('../engine/serve');
+const { isPageFile, resolveBaseUrls } = require('../engine/urls');
 const logger = require('../logger');
 
 async function runDevServer(campaigns) {
@@ -22,15 +25,26 @@ async function runDevServer(campaigns) {
 
     if (isCancel(slug)) process.exit(0);
 
+    // The dev server has no environment: drop the environment override blocks
+    campaigns = config.resolveEnvironment(campaigns);
+
     const outputPath = config.getOutputPath();
     const srcPath = config.getSrcPath();
+    const dataPath = config.getDataPath();
     const port = 3000;
+    // Served under the campaign's base path like in production; assets are served locally, not from asset_base_url
+    const { basePath } = resolveBaseUrls(config.loadProjectConfig(), campaigns[slug]);
+    const baseUrls = { assetBaseUrl: null };
 
     console.log('');
 
+    // Filled by every build so rebuilds can target only the affected pages
+    const graph = createDependencyGraph();
+
     // Initial build
     try {
-        const { built, errors, ms } = await build({ campaigns });
+        // Rebuilds only see some pages, so no page gets a Content Security Policy while developing
+        const { built, errors, ms } = await build({ campaigns, graph, baseUrls, csp: false });
         const timing = ms < 1000 ? `${ms}ms` : `${(ms / 1000).toFixed(2)}s`;
         logger.info(`Built ${built} page${built !== 1 ? 's' : ''} in ${timing}${errors ? ` (${errors} error${errors !== 1 ? 's' : ''})` : ''}`);
     } catch (e) {
@@ -42,21 +56,38 @@ async function runDevServer(campaigns) {
     const { server, watcher } = serve({
         outputPath,
         srcPath,
+        watchPaths: [dataPath],
+        basePaths: basePath ? [basePath] : [],
         port,
         onRebuild: async (changedPath) => {
             let files;
             if (changedPath) {
-                const rel = path.relative(srcPath, changedPath);
-                const parts = rel.split(path.sep);
-                const isIncludeOrLayout = parts.includes('_includes') || parts.includes('_layouts');
-                if (rel.endsWith('.html') && !isIncludeOrLayout) {
-                    files = [rel];
-                } else if (!rel.endsWith('.html')) {
-                    files = [];
+                const parts = path.relative(srcPath, changedPath).split(path.sep);
+                const rel = parts.join('/');
+                const isData = parts.includes('_data') || parts.includes('_locales')
+                    || !path.relative(dataPath, changedPath).startsWith('..');
+                if (isData) {
+                    // Data and translations reach every page, and files can be added (a new
+                    // locale adds pages): rebuild the whole campaign
+                    if (changedPath === config.getCampaignsPath()) {
+                        campaigns = config.resolveEnvironment(config.loadCampaigns());
+                    }
+                    files = undefined;
+                } else if (isPageFile(rel)) {
+                    if (fs.existsSync(changedPath)) {
+                        files = [rel];
+                    } else {
+                        graph.forget(rel);
+                        files = [];
+                    }
+                } else {
+                    // Layouts, includes and referenced assets: rebuild the pages that use them.
+                    // Anything else (unreferenced assets) only needs the asset copy.
+                    files = graph.dependentsOf(changedPath).filter(f => f.startsWith(`${slug}/`));
                 }
             }
 
-            const { built, errors, ms } = await build({ campaigns: { [slug]: campaigns[slug] }, files });
+            const { built, errors, ms } = await build({ campaigns: { [slug]: campaigns[slug] }, files, graph, baseUrls, csp: false });
             const timing = ms < 1000 ? `${ms}ms` : `${(ms / 1000).toFixed(2)}s`;
             if (files && files.length === 0) {
                 logger.info(`Assets copied in ${timing}`);
@@ -66,7 +97,7 @@ async function runDevServer(campaigns) {
         },
     });
 
-    const url = `http://localhost:${port}/${slug}/`;
+    const url = `http://localhost:${port}${basePath || '/'}${slug}/`;
     logger.info(`Watching for changes…`);
     logger.info(`Campaign URL: \x1b[36m${url}\x1b[0m`);
 
@@ -0,0 +1,101 @@
+#!/usr/bin/env node
+
+const path = require('path');
+const { parseArgs } = require('util');
+const config = require('../config');
+const { exportCampaigns } = require('../engine/export');
+const logger = require('../logger');
+
+const USAGE = `Usage: campaign-export [options]
+
+  --campaign <slugs>     Export only these campaigns (comma-separated, globs allowed)
+  --out <dir>            Directory the archives are written to (default: _exports/)
+  --base-path <path>     Rewrite the campaign's URLs for hosting under this path (e.g. /offers/)
+  --src <dir>            Source directory (default: src/)
+  --campaigns <file>     Campaign registry (default: _data/campaigns.json)
+  --data <dir>           Global data files (default: _data/)
+  --config <file>        Project settings (default: campaign.config.json)
+  --env <name>           Build environment: applies its campaign overrides
+  --fingerprint          Write content-hashed asset names
+  -h, --help             Show this help`;
+
+/**
+ * Parse campaign-export command line arguments into export options.
+ * Throws on unknown options.
+ *
+ * @param {string[]} argv - Arguments after the executable and script
+ * @returns {{ campaigns: string[], exportPath?: string, basePath?: string, srcPath?: string, campaignsPath?: string,
+ *             dataPath?: string, configPath?: string, env?: string, fingerprint: boolean, help: boolean }}
+ */
+function parseExportArgs(argv) {
+    const { values } = parseArgs({
+        args: argv,
+        options: {
+            campaign: { type: 'string', multiple: true },
+            out: { type: 'string' },
+            'base-path': { type: 'string' },
+            src: { type: 'string' },
+            campaigns: { type: 'string' },
+            data: { type: 'string' },
+            config: { type: 'string' },
+            env: { type: 'string' },
+            fingerprint: { type: 'boolean' },
+            help: { type: 'boolean', short: 'h' },
+        },
+    });
+
+    return {
+        campaigns: (values.campaign || []).flatMap(v => v.split(',')).map(v => v.trim()).filter(Boolean),
+        exportPath: values.out,
+        basePath: values['base-path'],
+        srcPath: values.src,
+        campaignsPath: values.campaigns,
+        dataPath: values.data,
+        configPath: values.config,
+        env: values.env,
+        fingerprint: !!values.fingerprint,
+        help: !!values.help,
+    };
+}
+
+async function main() {
+    const args = parseExportArgs(process.argv.slice(2));
+    if (args.help) {
+        console.log(USAGE);
+        return;
+    }
+
+    let campaigns = config.resolveEnvironment(config.loadCampaigns(args.campaignsPath), args.env, args.campaignsPath);
+    if (args.campaigns.length > 0) {
+        campaigns = config.selectCampaigns(campaigns, args.campaigns);
+    }
+
+    if (args.env) logger.info(`Environment: \x1b[36m${args.env}\x1b[0m`);
+
+    const archives = await exportCampaigns({
+        srcPath: args.srcPath && config.getSrcPath(args.srcPath),
+        campaignsPath: args.campaignsPath,
+        dataPath: args.dataPath,
+        configPath: args.configPath,
+        env: args.env,
+        campaigns,
+        fingerprint: args.fingerprint,
+        exportPath: config.getExportPath(args.exportPath),
+        basePath: args.basePath,
+    });
+
+    for (const archive of archives) {
+        const size = archive.bytes < 1024 ? `${archive.bytes} B` : `${(archive.bytes / 1024).toFixed(1)} KB`;
+        const file = path.relative(process.cwd(), archive.file);
+        logger.info(`Exported \x1b[36m${archive.slug}\x1b[0m to \x1b[90m${file}\x1b[0m (${archive.files} files, ${size})`);
+    }
+}
+
+if (require.main === module) {
+    main().catch(err => {
+        logger.error(err.message);
+        process.exit(1);
+    });
+}
+
+module.exports = { parseExportArgs };
@@ -14,6 +14,8 @@ const SCRIPTS = {
     'start': 'campaign-start',
     'dev': 'campaign-dev',
     'build': 'campaign-build',
+    'export': 'campaign-export',
+    'integrity': 'campaign-integrity',
     'clone': 'campaign-clone',
     'config': 'campaign-config',
     'compress': 'campaign-compress',
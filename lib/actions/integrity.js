@@ -0,0 +1,85 @@
+#!/usr/bin/env node
+
+const path = require('path');
+const { parseArgs } = require('util');
+const config = require('../config');
+const { loadLock, writeLock, integritySources, refreshLock } = require('../engine/integrity');
+const logger = require('../logger');
+
+const USAGE = `Usage: campaign-integrity [options]
+
+Hashes the local copies listed under "integrity" in campaign.config.json into
+integrity.lock.json, which campaign_integrity reads for external URLs.
+
+  --check                Only check that the lockfile is up to date (exits 1 if not)
+  --config <file>        Project settings (default: campaign.config.json)
+  --lock <file>          Lockfile (default: integrity.lock.json)
+  -h, --help             Show this help`;
+
+/**
+ * Parse campaign-integrity command line arguments.
+ * Throws on unknown options.
+ *
+ * @param {string[]} argv - Arguments after the executable and script
+ * @returns {{ check: boolean, configPath?: string, lockPath?: string, help: boolean }}
+ */
+function parseIntegrityArgs(argv) {
+    const { values } = parseArgs({
+        args: argv,
+        options: {
+            check: { type: 'boolean' },
+            config: { type: 'string' },
+            lock: { type: 'string' },
+            help: { type: 'boolean', short: 'h' },
+        },
+    });
+
+    return {
+        check: !!values.check,
+        configPath: values.config,
+        lockPath: values.lock,
+        help: !!values.help,
+    };
+}
+
+function main() {
+    const args = parseIntegrityArgs(process.argv.slice(2));
+    if (args.help) {
+        console.log(USAGE);
+        return;
+    }
+
+    const settings = config.loadProjectConfig(args.configPath);
+    const sources = integritySources(settings, path.dirname(config.getProjectConfigPath(args.configPath)));
+    const lockPath = config.getIntegrityLockPath(args.lockPath);
+    const { lock, added, updated, removed } = refreshLock(loadLock(lockPath), sources);
+    const file = path.relative(process.cwd(), lockPath);
+
+    if (added.length + updated.length + removed.length === 0) {
+        const count = Object.keys(lock).length;
+        logger.info(`${file} is up to date (${count} URL${count !== 1 ? 's' : ''})`);
+        return;
+    }
+    for (const url of added) logger.info(`added \x1b[36m${url}\x1b[0m`);
+    // A changed hash means the pinned file changed: worth a look before committing
+    for (const url of updated) logger.warn(`hash changed for ${url}`);
+    for (const url of removed) logger.info(`removed \x1b[90m${url}\x1b[0m`);
+
+    if (args.check) {
+        logger.error(`${file} is out of date, run campaign-integrity`);
+        process.exit(1);
+    }
+    writeLock(lockPath, lock);
+    logger.info(`Wrote \x1b[90m${file}\x1b[0m`);
+}
+
+if (require.main === module) {
+    try {
+        main();
+    } catch (err) {
+        logger.error(err.message);
+        process.exit(1);
+    }
+}
+
+module.exports = { parseIntegrityArgs };
@@ -6,6 +6,7 @@
 
 const path = require('path');
 const fs = require('fs');
+const micromatch = require('micromatch');
 
 /**
  * Get the project root directory (current working directory)
@@ -22,6 +23,22 @@ function getCampaignsPath(customPath) {
     return path.join(getProjectRoot(), '_data', 'campaigns.json');
 }
 
+/**
+ * Get the path to the global data directory (_data/)
+ */
+function getDataPath(customPath) {
+    if (customPath) return path.resolve(customPath);
+    return path.join(getProjectRoot(), '_data');
+}
+
+/**
+ * Get the path to campaign.config.json (project-wide build settings)
+ */
+function getProjectConfigPath(customPath) {
+    if (customPath) return path.resolve(customPath);
+    return path.join(getProjectRoot(), 'campaign.config.json');
+}
+
 /**
  * Get the source directory path
  */
@@ -38,6 +55,30 @@ function getOutputPath(customPath) {
     return path.join(getProjectRoot(), '_site');
 }
 
+/**
+ * Get the directory campaign export archives are written to
+ */
+function getExportPath(customPath) {
+    if (customPath) return path.resolve(customPath);
+    return path.join(getProjectRoot(), '_exports');
+}
+
+/**
+ * Get the directory for build caches (e.g. resized images), kept between builds
+ */
+function getCachePath(customPath) {
+    if (customPath) return path.resolve(customPath);
+    return path.join(getProjectRoot(), '.campaign-cache');
+}
+
+/**
+ * Get the path to integrity.lock.json (SRI hashes of external scripts and styles)
+ */
+function getIntegrityLockPath(customPath) {
+    if (customPath) return path.resolve(customPath);
+    return path.join(getProjectRoot(), 'integrity.lock.json');
+}
+
 /**
  * Load campaigns data from campaigns.json.
  * Returns a key-based object: { "slug": { name, description, ... } }
@@ -53,6 +94,101 @@ function loadCampaigns(customPath) {
     return data;
 }
 
+/**
+ * Get the path of an environment's campaign overrides, next to campaigns.json:
+ * _data/campaigns.json → _data/campaigns.staging.json
+ */
+function getEnvironmentCampaignsPath(env, customPath) {
+    const campaignsPath = getCampaignsPath(customPath);
+    const ext = path.extname(campaignsPath);
+    return path.join(path.dirname(campaignsPath), `${path.basename(campaignsPath, ext)}.${env}${ext}`);
+}
+
+/**
+ * Whether a file is the campaign registry or one of its environment override files.
+ */
+function isCampaignsFile(filePath, customPath) {
+    const campaignsPath = getCampaignsPath(customPath);
+    const ext = path.extname(campaignsPath);
+    const name = path.basename(filePath);
+    return path.resolve(filePath) === campaignsPath
+        || (path.dirname(path.resolve(filePath)) === path.dirname(campaignsPath)
+            && name.startsWith(`${path.basename(campaignsPath, ext)}.`) && name.endsWith(ext));
+}
+
+function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Merge plain objects recursively; arrays and other values in `override` replace those in `base`.
+ */
+function deepMerge(base, override) {
+    const merged = { ...base };
+    for (const [key, value] of Object.entries(override)) {
+        merged[key] = isPlainObject(value) && isPlainObject(merged[key]) ? deepMerge(merged[key], value) : value;
+    }
+    return merged;
+}
+
+/**
+ * Resolve campaigns for a build environment (e.g. "staging").
+ *
+ * Overrides come from each campaign's `environments.<env>` block, then from
+ * campaigns.<env>.json next to campaigns.json, and are deep-merged over the
+ * campaign's values. The `environments` blocks themselves are removed, so
+ * templates never see another environment's values. Without an environment,
+ * only the blocks are removed. Throws for an environment that has neither, as
+ * a typo like --env stagng would otherwise build with the default values.
+ *
+ * @param {object} campaigns - Key-based campaigns, as returned by loadCampaigns
+ * @param {string} [env]
+ * @param {string} [customPath] - campaigns.json location
+ */
+function resolveEnvironment(campaigns, env, customPath) {
+    if (env && !/^[\w-]+$/.test(env)) {
+        throw new Error(`Invalid environment name "${env}"`);
+    }
+
+    let overrides = {};
+    const envPath = env && getEnvironmentCampaignsPath(env, customPath);
+    if (envPath && fs.existsSync(envPath)) {
+        try {
+            overrides = JSON.parse(fs.readFileSync(envPath, 'utf8'));
+        } catch (e) {
+            throw new Error(`Invalid environment file ${envPath}: ${e.message}`);
+        }
+        for (const slug of Object.keys(overrides)) {
+            if (!campaigns[slug]) throw new Error(`${path.basename(envPath)} overrides unknown campaign "${slug}"`);
+        }
+    } else if (env && !Object.values(campaigns).some(campaign => campaign.environments && campaign.environments[env])) {
+        throw new Error(`Unknown environment "${env}": no campaign has an environments.${env} block and ${path.basename(envPath)} does not exist`);
+    }
+
+    const resolved = {};
+    for (const [slug, campaign] of Object.entries(campaigns)) {
+        const { environments, ...values } = campaign;
+        const block = env && environments && environments[env];
+        resolved[slug] = deepMerge(deepMerge(values, block || {}), overrides[slug] || {});
+    }
+    return resolved;
+}
+
+/**
+ * Load project-wide build settings from campaign.config.json.
+ * The file is optional: returns an empty object when it does not exist.
+ */
+function loadProjectConfig(customPath) {
+    const configPath = getProjectConfigPath(customPath);
+    if (!fs.existsSync(configPath)) return {};
+
+    try {
+        return JSON.parse(fs.readFileSync(configPath, 'utf8'));
+    } catch (e) {
+        throw new Error(`Invalid project config ${configPath}: ${e.message}`);
+    }
+}
+
 /**
  * Save campaigns data to campaigns.json.
  * Accepts a key-based object: { "slug": { name, description, ... } }
@@ -70,6 +206,26 @@ function campaignsArray(campaigns) {
     return Object.entries(campaigns).map(([slug, data]) => ({ slug, ...data }));
 }
 
+/**
+ * Pick the campaigns whose slugs match any of the given names or glob patterns.
+ * Returns a key-based object in the same format as loadCampaigns.
+ * Throws if a pattern matches no campaign, so typos don't silently build nothing.
+ *
+ * selectCampaigns(campaigns, ['starter', 'olympus-*'])
+ */
+function selectCampaigns(campaigns, patterns) {
+    const slugs = Object.keys(campaigns);
+    const selected = {};
+    for (const pattern of patterns) {
+        const matches = micromatch(slugs, pattern);
+        if (matches.length === 0) {
+            throw new Error(`No campaign matches "${pattern}"`);
+        }
+        for (const slug of matches) selected[slug] = campaigns[slug];
+    }
+    return selected;
+}
+
 /**
  * Convert old array-based campaigns.json to key-based format.
  *
@@ -103,6 +259,8 @@ function getConfig(options = {}) {
     return {
         projectRoot: getProjectRoot(),
         campaignsPath: getCampaignsPath(options.campaignsPath),
+        projectConfigPath: getProjectConfigPath(options.projectConfigPath),
+        dataPath: getDataPath(options.dataPath),
         srcPath: getSrcPath(options.srcPath),
         outputPath: getOutputPath(options.outputPath),
         ...options
@@ -112,11 +270,21 @@ function getConfig(options = {}) {
 module.exports = {
     getProjectRoot,
     getCampaignsPath,
+    getProjectConfigPath,
+    getDataPath,
+    getEnvironmentCampaignsPath,
+    isCampaignsFile,
     getSrcPath,
     getOutputPath,
+    getExportPath,
+    getCachePath,
+    getIntegrityLockPath,
     loadCampaigns,
+    loadProjectConfig,
+    resolveEnvironment,
     saveCampaigns,
     campaignsArray,
+    selectCampaigns,
     convertCampaignsFormat,
     getConfig
 };
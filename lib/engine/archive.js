@@ -0,0 +1,73 @@
+/**
+ * Gzipped tar archives.
+ *
+ * Writes the ustar format read by tar, hosting control panels and deploy tools,
+ * so exports need no archiver dependency. Entries are regular files only;
+ * extracting creates their directories.
+ */
+
+const zlib = require('zlib');
+
+const BLOCK = 512;
+
+function octal(value, length) {
+    return `${value.toString(8).padStart(length - 1, '0')}\0`;
+}
+
+/**
+ * Split a path into ustar's name (100 bytes) and prefix (155 bytes) fields.
+ */
+function splitName(name) {
+    if (Buffer.byteLength(name) <= 100) return { name, prefix: '' };
+    for (let i = name.indexOf('/'); i !== -1; i = name.indexOf('/', i + 1)) {
+        const prefix = name.slice(0, i);
+        const rest = name.slice(i + 1);
+        if (Buffer.byteLength(prefix) <= 155 && Buffer.byteLength(rest) <= 100) return { name: rest, prefix };
+    }
+    throw new Error(`Path too long for a tar archive: ${name}`);
+}
+
+function header(entryName, size, mtime) {
+    const { name, prefix } = splitName(entryName);
+    const block = Buffer.alloc(BLOCK);
+    block.write(name, 0);
+    block.write(octal(0o644, 8), 100);
+    block.write(octal(0, 8), 108);
+    block.write(octal(0, 8), 116);
+    block.write(octal(size, 12), 124);
+    block.write(octal(mtime, 12), 136);
+    block.write(' '.repeat(8), 148);
+    block.write('0', 156);
+    block.write('ustar\0', 257);
+    block.write('00', 263);
+    block.write(prefix, 345);
+
+    let checksum = 0;
+    for (const byte of block) checksum += byte;
+    block.write(`${checksum.toString(8).padStart(6, '0')}\0 `, 148);
+    return block;
+}
+
+/**
+ * Create a .tar.gz archive in memory.
+ *
+ * @param {{ name: string, content: Buffer|string }[]} entries - Paths use forward slashes
+ * @param {object} [opts]
+ * @param {Date}   [opts.mtime] - Modification time recorded for every file (defaults to now)
+ * @returns {Buffer}
+ */
+function createTarball(entries, { mtime = new Date() } = {}) {
+    const seconds = Math.floor(mtime.getTime() / 1000);
+    const blocks = [];
+    for (const entry of entries) {
+        const content = Buffer.isBuffer(entry.content) ? entry.content : Buffer.from(entry.content);
+        blocks.push(header(entry.name, content.length, seconds), content);
+        const padding = (BLOCK - (content.length % BLOCK)) % BLOCK;
+        if (padding > 0) blocks.push(Buffer.alloc(padding));
+    }
+    // Two empty blocks end the archive
+    blocks.push(Buffer.alloc(BLOCK * 2));
+    return zlib.gzipSync(Buffer.concat(blocks));
+}
+
+module.exports = { createTarball };
@@ -0,0 +1,121 @@
+/**
+ * Campaign asset handling.
+ *
+ * Lists the files in src/[slug]/assets/ with their output location, size and
+ * content hash, and copies them into _site/[slug]/. With fingerprinting on, each
+ * asset is also written under a content-hashed name (css/offer.3f9a1c2b.css) and
+ * the mapping is recorded in _site/.campaign-assets.json.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const fg = require('fast-glob');
+
+const ASSET_MAP_FILE = '.campaign-assets.json';
+const FINGERPRINT_LENGTH = 8;
+
+/**
+ * SHA-256 hex digest of a string or buffer.
+ */
+function hashContent(content) {
+    return crypto.createHash('sha256').update(content).digest('hex');
+}
+
+/**
+ * Insert a content hash before a file's extension: css/offer.css → css/offer.3f9a1c2b.css
+ */
+function fingerprintName(relAsset, hash) {
+    const ext = path.posix.extname(relAsset);
+    const base = relAsset.slice(0, relAsset.length - ext.length);
+    return `${base}.${hash.slice(0, FINGERPRINT_LENGTH)}${ext}`;
+}
+
+/**
+ * List a campaign's assets.
+ *
+ * Paths are relative to the src and output directories, using forward slashes:
+ * src/my-campaign/assets/css/offer.css → { source: 'my-campaign/assets/css/offer.css', output: 'my-campaign/css/offer.css' }
+ *
+ * With `fingerprint`, entries also carry the hashed output path:
+ * { ..., fingerprinted: 'my-campaign/css/offer.3f9a1c2b.css' }
+ *
+ * @returns {Promise<{ source: string, output: string, size: number, hash: string, fingerprinted?: string }[]>}
+ */
+async function collectAssets(srcPath, slug, { fingerprint = false } = {}) {
+    const assetSrc = path.join(srcPath, slug, 'assets');
+    if (!fs.existsSync(assetSrc)) return [];
+
+    const files = await fg('**/*', { cwd: assetSrc, dot: true });
+    return files.sort().map(relAsset => {
+        const content = fs.readFileSync(path.join(assetSrc, relAsset));
+        const hash = hashContent(content);
+        const asset = {
+            source: `${slug}/assets/${relAsset}`,
+            output: `${slug}/${relAsset}`,
+            size: content.length,
+            hash,
+        };
+        if (fingerprint) asset.fingerprinted = `${slug}/${fingerprintName(relAsset, hash)}`;
+        return asset;
+    });
+}
+
+/**
+ * Map a campaign's asset names to their fingerprinted names, relative to the
+ * campaign: { 'css/offer.css': 'css/offer.3f9a1c2b.css' }.
+ */
+function assetMap(assets, slug) {
+    const map = {};
+    for (const asset of assets) {
+        if (!asset.fingerprinted) continue;
+        map[asset.output.slice(slug.length + 1)] = asset.fingerprinted.slice(slug.length + 1);
+    }
+    return map;
+}
+
+/**
+ * Copy collected assets into the output directory.
+ *
+ * Fingerprinted assets are written under both names: pages reference the hashed
+ * file through campaign_asset, while references the build cannot rewrite (url()
+ * in CSS, imports in JS) keep resolving to the original.
+ *
+ * Copies file by file (rather than fs.cp on the whole tree) because pages are
+ * written into the same directories concurrently.
+ */
+async function copyAssets(assets, srcPath, outputPath) {
+    for (const asset of assets) {
+        const outputs = asset.fingerprinted ? [asset.output, asset.fingerprinted] : [asset.output];
+        for (const output of outputs) {
+            const dest = path.join(outputPath, output);
+            await fs.promises.mkdir(path.dirname(dest), { recursive: true });
+            await fs.promises.copyFile(path.join(srcPath, asset.source), dest);
+        }
+    }
+}
+
+/**
+ * Write _site/.campaign-assets.json for external tools, replacing the maps of
+ * the campaigns just built and keeping those of campaigns built previously.
+ *
+ * @param {string} outputPath
+ * @param {object} maps - { [slug]: { 'css/offer.css': 'css/offer.3f9a1c2b.css' } }
+ */
+function writeAssetMap(outputPath, maps) {
+    const mapPath = path.join(outputPath, ASSET_MAP_FILE);
+    const existing = fs.existsSync(mapPath) ? JSON.parse(fs.readFileSync(mapPath, 'utf8')) : {};
+
+    fs.mkdirSync(outputPath, { recursive: true });
+    fs.writeFileSync(mapPath, JSON.stringify({ ...existing, ...maps }, null, 2), 'utf8');
+}
+
+module.exports = {
+    ASSET_MAP_FILE,
+    hashContent,
+    fingerprintName,
+    collectAssets,
+    assetMap,
+    copyAssets,
+    writeAssetMap,
+};
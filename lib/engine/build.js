@@ -1,8 +1,8 @@
 /**
  * Campaign build pipeline.
  *
- * Discovers all HTML pages in src/, renders them with LiquidJS, writes output
- * to _site/, and copies campaign assets.
+ * Discovers all HTML and Markdown pages in src/, renders them with LiquidJS, writes output
+ * to _site/, copies campaign assets and records both in the build manifest.
  */
 
 const fs = require('fs');
@@ -10,6 +10,20 @@ const path = require('path');
 const fg = require('fast-glob');
 const matter = require('gray-matter');
 const { createEngine, renderPage } = require('./render');
+const { createWorkerPool } = require('./pool');
+const { hashContent, collectAssets, assetMap, copyAssets, writeAssetMap } = require('./assets');
+const { readManifest, writeManifest } = require('./manifest');
+const { findStaleOutput, removeStaleOutput } = require('./clean');
+const { validatePages, validationLevel } = require('./validate');
+const { resolveLayoutChain } = require('./templates');
+const { loadDataDir } = require('./data');
+const { PAGE_EXTENSIONS, stripPageExtension, permalinkUrl, resolveBaseUrls, withBasePath } = require('./urls');
+const { pageLabel, expandVariants } = require('./variants');
+const { expandCollection } = require('./collections');
+const { loadLocales, expandLocales, pageTranslations } = require('./locales');
+const { contentLine, frontmatterAssetRefs, findMissingAssets } = require('./references');
+const { loadLock, integritySources } = require('./integrity');
+const { resolveCsp, scanHtml, buildPolicy, injectMeta, headersBlock, updateHeaders } = require('./csp');
 const projectConfig = require('../config');
 
 const logger = require('../logger');
@@ -20,109 +34,490 @@ const logger = require('../logger');
  * @param {object} opts
  * @param {string}   [opts.srcPath]    - Source directory (defaults to project src/)
  * @param {string}   [opts.outputPath] - Output directory (defaults to _site/)
- * @param {object[]} [opts.campaigns]  - Campaign list (defaults to campaigns.json)
- * @param {Liquid}   [opts.engine]     - Existing LiquidJS engine (created if omitted)
+ * @param {object[]} [opts.campaigns]  - Campaign list, already resolved for opts.env (defaults to campaigns.json)
+ * @param {string}   [opts.campaignsPath] - campaigns.json location (defaults to _data/campaigns.json)
+ * @param {string}   [opts.dataPath]   - Global data directory (defaults to _data/)
+ * @param {string}   [opts.env]        - Build environment (e.g. "staging"): selects campaign overrides
+ *                                       and is available to templates as `env`
+ * @param {object}   [opts.config]     - Project settings (defaults to campaign.config.json)
+ * @param {string}   [opts.configPath] - campaign.config.json location, when opts.config is omitted
+ * @param {object}   [opts.baseUrls]   - Overrides the campaigns' base_path and asset_base_url
+ *                                       ({ basePath, assetBaseUrl }, null to ignore one)
+ * @param {string}   [opts.cachePath]  - Build cache directory (defaults to .campaign-cache/)
+ * @param {string}   [opts.lockPath]   - SRI lockfile (defaults to integrity.lock.json)
+ * @param {Liquid}   [opts.engine]     - Existing LiquidJS engine (created if omitted; not used by workers)
+ * @param {object}   [opts.graph]      - Dependency graph (see deps.js) updated with every page built
+ * @param {number}   [opts.concurrency=1] - Pages rendered in parallel; above 1 renders on worker threads
+ * @param {boolean}  [opts.manifest=true] - Write _site/.campaign-manifest.json (full builds only)
+ * @param {boolean}  [opts.csp=true]   - Add the campaigns' Content Security Policies (full builds only, see csp.js)
+ * @param {boolean}  [opts.fingerprint=false] - Also write assets under content-hashed names and resolve
+ *                                              campaign_asset to them
+ * @param {boolean}  [opts.clean=false] - Remove output of the built campaigns that this build did not produce
+ * @param {boolean}  [opts.dryRun=false] - With clean, only list what would be removed
+ * @returns {Promise<{ built: number, errors: number, ms: number, pages: object[], warnings: object[], pruned?: string[] }>}
+ *   `pages` lists every page attempted: { file, locale, variant, url, output, ms, error };
+ *   `warnings` lists validation warnings: { file, message }
  */
 async function build(opts = {}) {
     const srcPath = opts.srcPath || projectConfig.getSrcPath();
     const outputPath = opts.outputPath || projectConfig.getOutputPath();
-    const campaigns = opts.campaigns || projectConfig.loadCampaigns();
-    const engine = opts.engine || createEngine(srcPath);
+    const campaignsPath = projectConfig.getCampaignsPath(opts.campaignsPath);
+    const env = opts.env || null;
+    const registry = opts.campaigns
+        || projectConfig.resolveEnvironment(projectConfig.loadCampaigns(campaignsPath), env, campaignsPath);
+    const settings = opts.config || projectConfig.loadProjectConfig(opts.configPath);
+    const concurrency = Math.max(1, Math.floor(opts.concurrency || 1));
     const start = Date.now();
 
-    // Discover HTML pages, excluding layouts and includes.
+    if (opts.clean && opts.files !== undefined) {
+        throw new Error('A clean build needs every page, it cannot be combined with an explicit file list');
+    }
+    // Read before this build overwrites it: clean builds prune outputs it recorded
+    const previousManifest = opts.clean ? readManifest(outputPath) : null;
+
+    // Data files: _data/* for every page, src/[slug]/_data/* merged into campaign.data
+    const data = loadDataDir(projectConfig.getDataPath(opts.dataPath), {
+        exclude: (file) => projectConfig.isCampaignsFile(file, campaignsPath),
+    });
+    const campaigns = {};
+    const dataFiles = {};
+    // Translation dictionaries: src/[slug]/_locales/<locale>.json
+    const locales = {};
+    // base_path and asset_base_url, per campaign
+    const baseUrls = {};
+    // Content Security Policy settings, per campaign (null without one)
+    const cspSettings = {};
+    for (const [slug, entry] of Object.entries(registry)) {
+        const campaignData = loadDataDir(path.join(srcPath, slug, '_data'));
+        campaigns[slug] = { ...entry, data: { ...entry.data, ...campaignData.values } };
+        locales[slug] = loadLocales(srcPath, slug);
+        baseUrls[slug] = { ...resolveBaseUrls(settings, entry), ...opts.baseUrls };
+        // A partial rebuild does not see every page, so it cannot know the campaign's policy
+        cspSettings[slug] = opts.csp !== false && opts.files === undefined ? resolveCsp(settings, { slug, ...entry }) : null;
+        dataFiles[slug] = [...data.files, ...campaignData.files, ...locales[slug].files];
+    }
+    const translations = validationLevel(settings, 'translations', 'warn');
+    // Resized copies written by campaign_image, cached between builds
+    const images = { outputPath, cacheDir: path.join(projectConfig.getCachePath(opts.cachePath), 'images') };
+    const assetCheck = validationLevel(settings, 'assets', 'warn');
+    // SRI hashes of external scripts and styles, and the local copies they were computed from
+    const integrity = {
+        lock: loadLock(projectConfig.getIntegrityLockPath(opts.lockPath)),
+        sources: integritySources(settings, path.dirname(projectConfig.getProjectConfigPath(opts.configPath))),
+    };
+
+    // Discover the campaigns' HTML and Markdown pages, excluding layouts, includes and data.
     // opts.files can be an explicit list (partial rebuild) or undefined (full discovery).
+    const extensions = PAGE_EXTENSIONS.map(ext => ext.slice(1)).join(',');
     const files = opts.files !== undefined
         ? opts.files
-        : await fg('**/*.html', {
+        : await fg(Object.keys(campaigns).map(slug => `${fg.escapePath(slug)}/**/*.{${extensions}}`), {
             cwd: srcPath,
-            ignore: ['**/_layouts/**', '**/_includes/**'],
+            // Assets are copied as they are: a vendored README.md is not a page
+            ignore: ['**/_layouts/**', '**/_includes/**', '**/_data/**', '**/_locales/**', '**/assets/**'],
         });
 
     let built = 0;
     let errors = 0;
 
-    for (const relFile of files) {
-        const filePath = path.join(srcPath, relFile);
+    // Copy assets while pages render: src/[slug]/assets/ → _site/[slug]/
+    const assets = {};
+    const assetMaps = {};
+    // Asset names relative to each campaign's assets/ directory (css/offer.css)
+    const assetNames = {};
+    for (const slug of Object.keys(campaigns)) {
+        assets[slug] = await collectAssets(srcPath, slug, { fingerprint: opts.fingerprint });
+        assetMaps[slug] = assetMap(assets[slug], slug);
+        assetNames[slug] = assets[slug].map(asset => asset.output.slice(slug.length + 1));
+    }
+    const copying = copyAssets(Object.values(assets).flat(), srcPath, outputPath);
+    if (opts.fingerprint) writeAssetMap(outputPath, assetMaps);
 
-        try {
-            const raw = fs.readFileSync(filePath, 'utf8');
-            const { data: frontmatter, content: body } = matter(raw);
+    // Manifest entries per campaign, filled as pages are written
+    const manifest = {};
+    for (const slug of Object.keys(campaigns)) {
+        manifest[slug] = { pages: [], assets: [...assets[slug]] };
+    }
 
-            // Derive campaign slug from path: src/[slug]/page.html
-            const campaignSlug = relFile.split('/')[0];
-            const campaignData = campaigns[campaignSlug];
-            const campaign = campaignData ? { slug: campaignSlug, ...campaignData } : null;
+    // Per-page results, in the order pages finish
+    const results = [];
+    const warnings = [];
 
-            if (!campaign) {
-                logger.warn(`Skipping ${relFile} — no campaign found for slug "${campaignSlug}"`);
-                continue;
+    const planned = [];
+    for (const relFile of files) {
+        const planStart = Date.now();
+        try {
+            const page = planPage(relFile, { srcPath, outputPath, campaigns });
+            if (!page) continue;
+            const slug = page.campaign.slug;
+
+            // One page per collection item and split-test variant, each in every locale of the campaign
+            for (const itemPage of expandCollection(page, { data: data.values, outputPath })) {
+                for (const variant of expandVariants(itemPage)) {
+                    for (const localized of expandLocales(variant, Object.keys(locales[slug].messages), outputPath)) {
+                        planned.push({
+                            ...localized,
+                            assetMap: assetMaps[slug],
+                            i18n: pageTranslations(localized, locales[slug].messages, assetNames[slug]),
+                            data: data.values,
+                            env,
+                            images,
+                            integrity,
+                            csp: !!cspSettings[slug],
+                            ...baseUrls[slug],
+                        });
+                    }
+                }
             }
+        } catch (e) {
+            logger.error(`${relFile}: ${e.message}`);
+            results.push({ file: relFile, variant: null, url: null, output: null, ms: Date.now() - planStart, error: e.message });
+            errors++;
+        }
+    }
 
-            const { url, outputFile } = resolveOutput(relFile, frontmatter, outputPath);
-            const pageData = { url, inputPath: filePath };
+    const relOutput = (page) => path.relative(outputPath, page.outputFile).split(path.sep).join('/');
+    // Pages are planned at site-root URLs; reports give the URL they are served at
+    const publicUrl = (page) => withBasePath(page.url, page.basePath);
 
-            const layoutFile = frontmatter.page_layout || 'base.html';
-            const layoutPath = path.join(srcPath, campaignSlug, '_layouts', layoutFile);
-            const layoutSrc = fs.existsSync(layoutPath) ? fs.readFileSync(layoutPath, 'utf8') : null;
+    // Validation errors fail a page before it renders; warnings are only reported
+    const invalid = new Map();
+    for (const issue of validatePages(planned, { outputPath, settings, complete: opts.files === undefined })) {
+        if (issue.level === 'warn') {
+            logger.warn(`${issue.file}: ${issue.message}`);
+            warnings.push({ file: issue.file, message: issue.message });
+        } else if (!invalid.has(issue.file)) {
+            invalid.set(issue.file, issue.message);
+        } else {
+            invalid.set(issue.file, `${invalid.get(issue.file)}; ${issue.message}`);
+        }
+    }
+    for (const page of planned.filter(p => invalid.has(pageLabel(p)))) {
+        const message = invalid.get(pageLabel(page));
+        logger.error(`${pageLabel(page)}: ${message}`);
+        results.push({
+            file: page.relFile, locale: page.locale || null, variant: page.variant || null,
+            url: publicUrl(page), output: relOutput(page), ms: 0, error: message,
+        });
+        errors++;
+    }
+    const pages = planned.filter(page => !invalid.has(pageLabel(page)));
 
-            const html = await renderPage(engine, { body, frontmatter, campaign, pageData, layoutSrc });
+    const existingAssets = Object.fromEntries(Object.entries(assetNames).map(([slug, names]) => [slug, new Set(names)]));
 
-            fs.mkdirSync(path.dirname(outputFile), { recursive: true });
-            fs.writeFileSync(outputFile, html, 'utf8');
+    // What each campaign's pages load, scanned for their Content Security Policy
+    const cspPages = Object.fromEntries(Object.keys(campaigns).map(slug => [slug, []]));
+    // Files read by every copy of a source (variants, locales, collection items), recorded once all have rendered
+    const sourceDependencies = new Map();
 
-            const relOut = path.relative(process.cwd(), outputFile);
-            logger.debug(`Writing \x1b[90m${relOut}\x1b[0m from \x1b[90m${relFile}\x1b[0m`);
-            built++;
-        } catch (e) {
-            logger.error(`${relFile}: ${e.message}`);
+    function report(page, { dependencies, error, html, layout, hash, ms, missingTranslations = [], assetRefs = [], images = [], csp }) {
+        const output = relOutput(page);
+
+        // Assets the page references through campaign_asset, styles or scripts that do not exist
+        const missingAssets = assetCheck === 'off' ? [] : findMissingAssets(assetRefs, existingAssets[page.campaign.slug]);
+        if (!error && missingAssets.length > 0) {
+            const messages = missingAssets.map(ref => `missing asset ${ref.name} (${ref.file ? `${ref.file}:${ref.line}` : `line ${ref.line}`})`);
+            if (assetCheck === 'error') {
+                error = messages.join('; ');
+            } else {
+                for (const message of messages) {
+                    logger.warn(`${pageLabel(page)}: ${message}`);
+                    warnings.push({ file: pageLabel(page), message });
+                }
+            }
+        }
+
+        // Keys the page's locale does not define were rendered from the default locale (or as the key)
+        if (!error && missingTranslations.length > 0 && translations !== 'off') {
+            const message = `missing translations for ${page.i18n.locale}: ${missingTranslations.join(', ')}`;
+            if (translations === 'error') {
+                error = message;
+            } else {
+                logger.warn(`${pageLabel(page)}: ${message}`);
+                warnings.push({ file: pageLabel(page), message });
+            }
+        }
+
+        results.push({
+            file: page.relFile, locale: page.locale || null, variant: page.variant || null,
+            url: publicUrl(page), output, ms, error: error || null,
+        });
+
+        if (error) {
+            logger.error(`${pageLabel(page)}: ${error}`);
             errors++;
+        } else {
+            const relOut = path.relative(process.cwd(), page.outputFile);
+            logger.debug(`Writing \x1b[90m${relOut}\x1b[0m from \x1b[90m${pageLabel(page)}\x1b[0m`);
+            fs.mkdirSync(path.dirname(page.outputFile), { recursive: true });
+            fs.writeFileSync(page.outputFile, html, 'utf8');
+            if (page.variant) logger.info(`Variant \x1b[36m${page.variant}\x1b[0m of ${page.relFile}: \x1b[36m${publicUrl(page)}\x1b[0m`);
+            // Resized images are output too: recorded so clean builds keep them
+            const campaignAssets = manifest[page.campaign.slug].assets;
+            for (const image of images) {
+                if (!campaignAssets.some(asset => asset.output === image.output)) campaignAssets.push(image);
+            }
+            const entry = {
+                source: page.relFile,
+                locale: page.locale || null,
+                variant: page.variant || null,
+                url: publicUrl(page),
+                output,
+                layout,
+                page_type: page.frontmatter.page_type || null,
+                hash,
+            };
+            manifest[page.campaign.slug].pages.push(entry);
+            if (csp) cspPages[page.campaign.slug].push({ page, entry, scan: csp });
+            built++;
         }
+        const recorded = sourceDependencies.get(page.relFile) || new Set([campaignsPath, ...dataFiles[page.campaign.slug]]);
+        for (const file of dependencies) recorded.add(file);
+        sourceDependencies.set(page.relFile, recorded);
     }
 
-    // Copy assets: src/[slug]/assets/ → _site/[slug]/
-    for (const slug of Object.keys(campaigns)) {
-        const assetSrc = path.join(srcPath, slug, 'assets');
-        const assetDst = path.join(outputPath, slug);
-        if (fs.existsSync(assetSrc)) {
-            await fs.promises.cp(assetSrc, assetDst, { recursive: true });
+    const workers = Math.min(concurrency, pages.length);
+    if (workers > 1) {
+        const pool = createWorkerPool(path.join(__dirname, 'worker.js'), workers, { srcPath, stderr: logger.usesStderr() });
+        try {
+            await Promise.all(pages.map(async (page) => {
+                try {
+                    report(page, await pool.run(page));
+                } catch (e) {
+                    report(page, { dependencies: [], error: e.message, ms: 0 });
+                }
+            }));
+        } finally {
+            await pool.close();
+        }
+    } else {
+        const engine = opts.engine || createEngine(srcPath);
+        for (const page of pages) {
+            report(page, await renderPlannedPage(engine, page, srcPath));
         }
     }
 
+    if (opts.graph) {
+        for (const [relFile, dependencies] of sourceDependencies) opts.graph.record(relFile, dependencies);
+    }
+
+    await copying;
+
+    // Partial rebuilds and builds without csp leave policies, and _headers, as they were
+    if (opts.csp !== false && opts.files === undefined) {
+        applyCsp(outputPath, cspSettings, cspPages, { manifest, baseUrls });
+    }
+
+    for (const entry of Object.values(manifest)) {
+        entry.pages.sort((a, b) => a.source.localeCompare(b.source));
+    }
+
+    let pruned;
+    if (opts.clean) {
+        pruned = await clean(outputPath, manifest, previousManifest, { errors, dryRun: opts.dryRun });
+    }
+
+    // A partial rebuild only knows about some pages, so it leaves the manifest alone
+    if (opts.files === undefined && opts.manifest !== false) {
+        writeManifest(outputPath, manifest, { env });
+    }
+
     const ms = Date.now() - start;
-    return { built, errors, ms };
+    const result = { built, errors, ms, pages: results, warnings };
+    if (pruned) result.pruned = pruned;
+    return result;
 }
 
 /**
- * Resolve output URL and file path for a source file.
+ * Build each campaign's Content Security Policy from the scans of its pages, add
+ * it to the pages as a <meta> tag and/or to _site/_headers, and record it in the
+ * manifest. Report-only policies go to _headers only: browsers ignore them in
+ * a meta tag. A campaign without a header policy has its _headers entry from
+ * an earlier build removed.
+ */
+function applyCsp(outputPath, cspSettings, cspPages, { manifest, baseUrls }) {
+    const blocks = {};
+    for (const [slug, csp] of Object.entries(cspSettings)) {
+        blocks[slug] = null;
+        if (!csp) continue;
+        const policy = buildPolicy(cspPages[slug].map(p => p.scan), csp);
+        manifest[slug].csp = policy;
+
+        if (csp.meta && !csp.reportOnly) {
+            for (const { page, entry } of cspPages[slug]) {
+                const html = injectMeta(fs.readFileSync(page.outputFile, 'utf8'), policy);
+                fs.writeFileSync(page.outputFile, html, 'utf8');
+                entry.hash = hashContent(html);
+            }
+        } else if (csp.reportOnly && !csp.headers) {
+            logger.warn(`${slug}: a report-only policy only works as a header, set "headers": true under csp`);
+        }
+        if (csp.headers) {
+            blocks[slug] = headersBlock(slug, policy, { reportOnly: csp.reportOnly, scope: withBasePath(`/${slug}/`, baseUrls[slug].basePath) });
+        }
+    }
+    updateHeaders(path.join(outputPath, '_headers'), blocks);
+}
+
+/**
+ * Prune stale output for a clean build and log each file.
+ * Skipped when pages failed, so a broken build never removes their last good output.
  *
- * src/my-campaign/presale.html → { url: '/my-campaign/presale/', outputFile: '_site/my-campaign/presale/index.html' }
- * src/my-campaign/index.html  → { url: '/my-campaign/',          outputFile: '_site/my-campaign/index.html' }
+ * @returns {Promise<string[]>} Paths (relative to outputPath) removed, or that would be in a dry run
  */
-function resolveOutput(relFile, frontmatter, outputPath) {
-    if (frontmatter.permalink) {
-        const permalink = frontmatter.permalink.replace(/^\/|\/$/g, '');
+async function clean(outputPath, manifest, previousManifest, { errors, dryRun }) {
+    if (errors > 0) {
+        logger.warn('Skipping clean — the build had errors');
+        return [];
+    }
+
+    const stale = await findStaleOutput(outputPath, manifest, previousManifest);
+
+    for (const file of stale) {
+        logger.info(`${dryRun ? 'Would remove' : 'Removing'} \x1b[90m${file}\x1b[0m`);
+    }
+    if (!dryRun) removeStaleOutput(outputPath, stale, Object.keys(manifest));
+    return stale;
+}
+
+/**
+ * Read a source file and work out everything needed to render it.
+ * Returns null (with a warning) when the file belongs to no known campaign.
+ *
+ * The result is plain data so it can be handed to a worker thread.
+ */
+function planPage(relFile, { srcPath, outputPath, campaigns }) {
+    const filePath = path.join(srcPath, relFile);
+    const raw = fs.readFileSync(filePath, 'utf8');
+    const { data: frontmatter, content: body } = matter(raw);
+    // Kept to point messages at lines of the source file
+    const bodyLine = contentLine(raw, body);
+    const frontmatterSource = raw.slice(0, raw.length - body.length);
+
+    // Derive campaign slug from path: src/[slug]/page.html
+    const campaignSlug = relFile.split('/')[0];
+    const campaignData = campaigns[campaignSlug];
+    const campaign = campaignData ? { slug: campaignSlug, ...campaignData } : null;
+
+    if (!campaign) {
+        logger.warn(`Skipping ${relFile} — no campaign found for slug "${campaignSlug}"`);
+        return null;
+    }
+
+    const { url, outputFile } = resolveOutput(relFile, frontmatter, outputPath);
+    return { relFile, filePath, frontmatter, body, bodyLine, frontmatterSource, campaign, url, outputFile };
+}
+
+/**
+ * Render a planned page into its layout. The caller writes the HTML once the
+ * page passes the checks that need its render (missing assets, translations).
+ *
+ * Never throws: render errors are returned as a message so the caller can report
+ * them the same way whether the page was rendered inline or on a worker.
+ *
+ * @returns {Promise<{ dependencies: string[], ms: number, html?: string, layout?: string, hash?: string,
+ *                     missingTranslations?: string[], assetRefs?: object[], images?: object[], csp?: object,
+ *                     error?: string }>}
+ */
+async function renderPlannedPage(engine, page, srcPath) {
+    const { frontmatter, body, campaign, url, filePath, assetMap, data, env, variant, item, i18n, basePath, assetBaseUrl, integrity, csp } = page;
+    // Resized copies campaign_image writes for this page
+    const images = page.images && { ...page.images, outputs: [] };
+    const start = Date.now();
+    // Files this page reads; includes are added by campaign_include while rendering
+    const dependencies = new Set();
+    // Translation keys used by the page that its locale does not define
+    const missingTranslations = new Set();
+    // Campaign assets the page references, checked by the build (see references.js)
+    const assetRefs = frontmatterAssetRefs(page);
+    for (const ref of assetRefs) dependencies.add(path.join(srcPath, campaign.slug, 'assets', ref.name));
+
+    try {
+        const pageData = { url: withBasePath(url, basePath), inputPath: filePath };
+
+        // The campaign's layouts, falling back to src/_shared/_layouts/, and the
+        // layouts they declare in turn
+        const chain = resolveLayoutChain(srcPath, campaign.slug, frontmatter.page_layout || 'base.html');
+
+        // Recorded even when missing, so creating a layout triggers a rebuild
+        for (const candidate of chain.candidates) dependencies.add(candidate);
+        if (chain.error) throw new Error(chain.error);
+        if (chain.layouts.length > 0) {
+            const files = chain.layouts.map(layout => layout.file).join(' → ');
+            logger.debug(`Layout for \x1b[90m${pageLabel(page)}\x1b[0m: \x1b[90m${files}\x1b[0m`);
+        }
+
+        // Layout frontmatter provides defaults: inner layouts override outer ones, the page overrides all
+        const merged = Object.assign({}, ...chain.layouts.map(layout => layout.frontmatter).reverse(), frontmatter);
+
+        const html = await renderPage(engine, {
+            body,
+            frontmatter: merged,
+            campaign,
+            pageData,
+            layouts: chain.layouts.map(layout => layout.src),
+            markdown: path.extname(filePath) === '.md',
+            data,
+            env,
+            variant,
+            item,
+            i18n,
+            missingTranslations,
+            dependencies,
+            assetMap,
+            basePath,
+            assetBaseUrl,
+            assetRefs,
+            images,
+            integrity,
+            origins: {
+                body: { file: page.relFile, line: page.bodyLine || 1 },
+                layouts: chain.layouts.map(layout => ({ file: layout.file, line: layout.line })),
+            },
+        });
+
         return {
-            url: `/${permalink}/`,
-            outputFile: path.join(outputPath, permalink, 'index.html'),
+            dependencies: [...dependencies],
+            ms: Date.now() - start,
+            html,
+            layout: chain.layouts.length > 0 ? chain.layouts[0].file : null,
+            hash: hashContent(html),
+            missingTranslations: [...missingTranslations],
+            assetRefs,
+            images: images ? images.outputs : [],
+            csp: csp ? scanHtml(html) : undefined,
         };
+    } catch (e) {
+        return { dependencies: [...dependencies], ms: Date.now() - start, error: e.message };
     }
+}
 
-    const parts = relFile.split('/');
-    const campaignSlug = parts[0];
-    const filename = parts[parts.length - 1].replace(/\.html$/, '');
-
-    if (filename === 'index') {
+/**
+ * Resolve output URL and file path for a source file.
+ * Folders inside a campaign map to nested URLs.
+ *
+ * src/my-campaign/presale.html       → { url: '/my-campaign/presale/',  outputFile: '_site/my-campaign/presale/index.html' }
+ * src/my-campaign/index.html         → { url: '/my-campaign/',          outputFile: '_site/my-campaign/index.html' }
+ * src/my-campaign/offers/a.html      → { url: '/my-campaign/offers/a/', outputFile: '_site/my-campaign/offers/a/index.html' }
+ * src/my-campaign/offers/index.html  → { url: '/my-campaign/offers/',   outputFile: '_site/my-campaign/offers/index.html' }
+ * src/my-campaign/terms.md           → { url: '/my-campaign/terms/',    outputFile: '_site/my-campaign/terms/index.html' }
+ */
+function resolveOutput(relFile, frontmatter, outputPath) {
+    if (frontmatter.permalink) {
+        const url = permalinkUrl(frontmatter.permalink);
         return {
-            url: `/${campaignSlug}/`,
-            outputFile: path.join(outputPath, campaignSlug, 'index.html'),
+            url,
+            outputFile: path.join(outputPath, ...url.split('/').filter(Boolean), 'index.html'),
         };
     }
 
+    const segments = stripPageExtension(relFile).split('/');
+    if (segments[segments.length - 1] === 'index') segments.pop();
+
     return {
-        url: `/${campaignSlug}/${filename}/`,
-        outputFile: path.join(outputPath, campaignSlug, filename, 'index.html'),
+        url: `/${segments.join('/')}/`,
+        outputFile: path.join(outputPath, ...segments, 'index.html'),
     };
 }
 
-module.exports = { build, resolveOutput };
+module.exports = { build, resolveOutput, renderPlannedPage };
@@ -0,0 +1,100 @@
+/**
+ * Stale output pruning for clean builds.
+ *
+ * A build only adds and overwrites files, so pages that were deleted, renamed or
+ * given a new permalink leave their old output behind. Clean builds compare what
+ * the build produced against what is on disk for the campaigns being built and
+ * remove the difference — never touching files that belong to other campaigns.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const fg = require('fast-glob');
+
+/**
+ * Every output path (relative to the output directory) recorded for a campaign
+ * in a manifest entry: pages, assets and fingerprinted asset copies.
+ */
+function manifestOutputs(entry) {
+    const outputs = [];
+    for (const page of entry.pages || []) outputs.push(page.output);
+    for (const asset of entry.assets || []) {
+        outputs.push(asset.output);
+        if (asset.fingerprinted) outputs.push(asset.fingerprinted);
+    }
+    return outputs;
+}
+
+/**
+ * Whether a path relative to the output directory resolves inside the
+ * directory of one of the given campaigns (_site/[slug]/).
+ */
+function inCampaignDir(outputPath, file, slugs) {
+    const fullPath = path.resolve(outputPath, file);
+    return slugs.some(slug => fullPath.startsWith(path.resolve(outputPath, slug) + path.sep));
+}
+
+/**
+ * Find output files the current build did not produce.
+ *
+ * Candidates are every file under _site/[slug]/ for the campaigns built, plus
+ * outputs the previous manifest attributes to those campaigns. Only files inside
+ * those campaigns' directories are ever candidates: a manifest entry pointing
+ * anywhere else (an old foreign permalink, `../`) is left alone, as is anything
+ * another campaign claims in the previous manifest.
+ *
+ * @param {string} outputPath
+ * @param {object} current  - Manifest entries of this build: { [slug]: { pages, assets } }
+ * @param {object} previous - Manifest read before this build
+ * @returns {Promise<string[]>} Stale paths relative to outputPath, sorted
+ */
+async function findStaleOutput(outputPath, current, previous) {
+    const slugs = Object.keys(current);
+    const produced = new Set(Object.values(current).flatMap(manifestOutputs));
+
+    const protectedFiles = new Set();
+    for (const [slug, entry] of Object.entries(previous.campaigns || {})) {
+        if (slugs.includes(slug)) continue;
+        for (const output of manifestOutputs(entry)) protectedFiles.add(output);
+    }
+
+    const candidates = new Set();
+    for (const slug of slugs) {
+        const files = await fg(`${fg.escapePath(slug)}/**/*`, { cwd: outputPath, dot: true });
+        for (const file of files) candidates.add(file);
+
+        const entry = previous.campaigns && previous.campaigns[slug];
+        for (const output of entry ? manifestOutputs(entry) : []) {
+            if (fs.existsSync(path.join(outputPath, output))) candidates.add(output);
+        }
+    }
+
+    return [...candidates]
+        .filter(file => inCampaignDir(outputPath, file, slugs) && !produced.has(file) && !protectedFiles.has(file))
+        .sort();
+}
+
+/**
+ * Delete stale files, then any directories they leave empty (up to, but not
+ * including, the output directory itself). Files outside the directories of
+ * the given campaigns are never deleted.
+ *
+ * @param {string}   outputPath
+ * @param {string[]} files - Paths relative to outputPath
+ * @param {string[]} slugs - The campaigns being built
+ */
+function removeStaleOutput(outputPath, files, slugs) {
+    const root = path.resolve(outputPath);
+    for (const file of files.filter(f => inCampaignDir(root, f, slugs))) {
+        const fullPath = path.join(root, file);
+        fs.rmSync(fullPath, { force: true });
+
+        let dir = path.dirname(fullPath);
+        while (dir !== root && dir.startsWith(root) && fs.existsSync(dir) && fs.readdirSync(dir).length === 0) {
+            fs.rmdirSync(dir);
+            dir = path.dirname(dir);
+        }
+    }
+}
+
+module.exports = { findStaleOutput, removeStaleOutput };
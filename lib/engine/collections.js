@@ -0,0 +1,75 @@
+/**
+ * Pages generated from collections.
+ *
+ * A page can declare a list to iterate over and a permalink pattern, and is then
+ * built once per item instead of once for itself:
+ *
+ *   collection: campaign.data.products
+ *   permalink: /starter/product/{{ item.sku }}/
+ *
+ * The list is looked up in `campaign` (campaigns.json and src/[slug]/_data/) or
+ * `data` (_data/), and templates see the current entry as `item`.
+ */
+
+const path = require('path');
+const { Liquid } = require('liquidjs');
+const { permalinkUrl } = require('./urls');
+const logger = require('../logger');
+
+// Permalinks only need Liquid's standard filters, not the campaign engine
+const permalinks = new Liquid();
+
+function lookup(root, source) {
+    let value = root;
+    for (const part of source.split('.')) {
+        if (value === null || typeof value !== 'object' || !(part in value)) return undefined;
+        value = value[part];
+    }
+    return value;
+}
+
+/**
+ * Expand a planned page into one page per item of its collection.
+ * Pages without a `collection` are returned as they are. Throws when the
+ * collection is not a list or the permalink does not depend on the item.
+ *
+ * @param {object} page - Planned page ({ relFile, frontmatter, campaign, url, outputFile, ... })
+ * @param {object} opts
+ * @param {object} opts.data       - Global data from the project's _data/ files
+ * @param {string} opts.outputPath
+ * @returns {object[]}
+ */
+function expandCollection(page, { data, outputPath }) {
+    const { collection: source, ...frontmatter } = page.frontmatter;
+    if (source === undefined || source === null) return [page];
+    if (typeof source !== 'string' || !/^(campaign|data)(\.[\w-]+)+$/.test(source)) {
+        throw new Error('collection must name a list in campaign or data, e.g. "campaign.data.products"');
+    }
+    if (typeof frontmatter.permalink !== 'string' || !frontmatter.permalink.includes('{{')) {
+        throw new Error('collection pages need a permalink built from the item, e.g. "/slug/product/{{ item.sku }}/"');
+    }
+
+    const items = lookup({ campaign: page.campaign, data }, source);
+    if (!Array.isArray(items)) {
+        throw new Error(`collection ${source} is ${items === undefined ? 'not defined' : 'not a list'}`);
+    }
+
+    if (items.length === 0) logger.warn(`${page.relFile}: collection ${source} is empty, no pages built`);
+
+    return items.map((item, index) => {
+        const context = { item, campaign: page.campaign, data };
+        // Normalised, so `..` in the data cannot point the page at another campaign or out of the site
+        const url = permalinkUrl(permalinks.parseAndRenderSync(frontmatter.permalink, context));
+        return {
+            ...page,
+            frontmatter: { ...frontmatter, permalink: url },
+            item,
+            // Names the page in messages; URLs can't, they are what collides
+            itemLabel: `${source}[${index}]`,
+            url,
+            outputFile: path.join(outputPath, ...url.split('/').filter(Boolean), 'index.html'),
+        };
+    });
+}
+
+module.exports = { expandCollection };
@@ -0,0 +1,293 @@
+/**
+ * Content Security Policy per campaign.
+ *
+ * Each rendered page is scanned for the scripts, styles, images, media, frames
+ * and form targets it loads, and for its inline <script>, <style>, style="" and
+ * on*="" code, which the policy allows by hash. A full build combines the scans
+ * of a campaign's pages with the allowlists in campaign.config.json and
+ * campaigns.json (for what the Campaign Cart SDK and tracking pixels load at
+ * runtime) into one policy, emitted as a <meta> tag in every page and/or a
+ * `_headers` entry (Netlify, Cloudflare Pages).
+ *
+ * A scan is { [directive]: string[] } of sources: 'self', origins, data:, or
+ * quoted hashes ('sha256-…').
+ */
+
+const fs = require('fs');
+const crypto = require('crypto');
+
+// Directives in the order policies list them
+const DIRECTIVES = [
+    'default-src', 'script-src', 'style-src', 'img-src', 'font-src', 'connect-src',
+    'media-src', 'frame-src', 'worker-src', 'manifest-src', 'form-action', 'base-uri', 'object-src',
+];
+
+// Sources every policy starts from: anything not scanned or allowed stays on the site
+const BASE_POLICY = {
+    'default-src': ["'self'"],
+    'base-uri': ["'self'"],
+    'object-src': ["'none'"],
+};
+
+// <link rel> and preloads (<link rel="preload" as>) → directive
+const LINK_DIRECTIVES = {
+    stylesheet: 'style-src',
+    icon: 'img-src',
+    'apple-touch-icon': 'img-src',
+    manifest: 'manifest-src',
+    modulepreload: 'script-src',
+};
+const PRELOAD_DIRECTIVES = { script: 'script-src', style: 'style-src', font: 'font-src', image: 'img-src', fetch: 'connect-src' };
+
+// Attributes that load something, by element
+const URL_ATTRIBUTES = {
+    img: { src: 'img-src', srcset: 'img-src' },
+    source: { src: 'media-src', srcset: 'img-src' },
+    video: { src: 'media-src', poster: 'img-src' },
+    audio: { src: 'media-src' },
+    track: { src: 'media-src' },
+    iframe: { src: 'frame-src' },
+    form: { action: 'form-action' },
+};
+
+// Script types a browser executes; others (application/ld+json, …) are data
+const SCRIPT_TYPES = ['', 'module', 'text/javascript', 'application/javascript'];
+
+// Directives that only work as a header
+const META_IGNORED = ['report-uri', 'frame-ancestors', 'sandbox'];
+
+const ENTITIES = { amp: '&', quot: '"', apos: "'", lt: '<', gt: '>' };
+
+/**
+ * Resolve a campaign's CSP settings: the project's `csp` in campaign.config.json,
+ * extended by the campaign's `csp` in campaigns.json (its allowlist adds to the
+ * project's, its other values override them). Returns null when neither sets
+ * one, or the campaign sets `"csp": false`.
+ * Throws on malformed settings.
+ *
+ * @returns {{ meta: boolean, headers: boolean, reportOnly: boolean, reportUri: string|null,
+ *             allow: Object<string, string[]> } | null}
+ */
+function resolveCsp(settings, campaign) {
+    const project = settings.csp;
+    const own = campaign.csp;
+    if (own === false || (project === undefined && own === undefined)) return null;
+
+    const layers = [['campaign.config.json', project], [`campaign "${campaign.slug}"`, own]]
+        .filter(([, value]) => value !== undefined);
+    const csp = { meta: true, headers: false, reportOnly: false, reportUri: null, allow: {} };
+    for (const [source, value] of layers) {
+        if (!value || typeof value !== 'object' || Array.isArray(value)) throw new Error(`${source}: "csp" must be an object`);
+        for (const key of ['meta', 'headers', 'report_only']) {
+            if (value[key] !== undefined && typeof value[key] !== 'boolean') throw new Error(`${source}: csp.${key} must be true or false`);
+        }
+        if (value.report_uri !== undefined && typeof value.report_uri !== 'string') throw new Error(`${source}: csp.report_uri must be a URL`);
+
+        if (value.meta !== undefined) csp.meta = value.meta;
+        if (value.headers !== undefined) csp.headers = value.headers;
+        if (value.report_only !== undefined) csp.reportOnly = value.report_only;
+        if (value.report_uri !== undefined) csp.reportUri = value.report_uri;
+        for (const [directive, sources] of Object.entries(value.allow || {})) {
+            if (!Array.isArray(sources) || sources.some(s => typeof s !== 'string')) {
+                throw new Error(`${source}: csp.allow["${directive}"] must be a list of sources`);
+            }
+            csp.allow[directive] = [...(csp.allow[directive] || []), ...sources];
+        }
+    }
+    if (!csp.meta && !csp.headers) throw new Error(`campaign "${campaign.slug}": csp needs meta or headers enabled`);
+    return csp;
+}
+
+function decodeEntities(value) {
+    return value.replace(/&(amp|quot|apos|lt|gt|#(\d+)|#x([0-9a-f]+));/gi, (match, name, dec, hex) => {
+        if (dec) return String.fromCodePoint(Number(dec));
+        if (hex) return String.fromCodePoint(parseInt(hex, 16));
+        return ENTITIES[name.toLowerCase()];
+    });
+}
+
+/**
+ * Attributes of a start tag's source, by lowercase name (bare attributes are '').
+ */
+function parseAttributes(source) {
+    const attrs = {};
+    for (const match of source.matchAll(/([^\s"'=<>/]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'=<>`]+)))?/g)) {
+        const name = match[1].toLowerCase();
+        if (!(name in attrs)) attrs[name] = decodeEntities(match[2] ?? match[3] ?? match[4] ?? '');
+    }
+    return attrs;
+}
+
+function hashSource(content) {
+    return `'sha256-${crypto.createHash('sha256').update(content, 'utf8').digest('base64')}'`;
+}
+
+/**
+ * The source a URL needs in a policy: 'self' for the site's own paths, the
+ * origin for other hosts, the scheme for data: and blob: URLs. Null for
+ * fragments and about:blank, which need none.
+ */
+function urlSource(url) {
+    url = url.trim();
+    if (url === '' || url.startsWith('#') || /^about:/i.test(url) || /^javascript:/i.test(url)) return null;
+    const scheme = url.match(/^([a-z][a-z0-9+.-]*):/i);
+    if (scheme && !/^https?$/i.test(scheme[1])) return `${scheme[1].toLowerCase()}:`;
+    if (!scheme && !url.startsWith('//')) return "'self'";
+    try {
+        return new URL(url, 'https://localhost').origin;
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * Scan a rendered page for what its policy has to allow.
+ *
+ * @param {string} html
+ * @returns {Object<string, string[]>} Sources by directive
+ */
+function scanHtml(html) {
+    const found = {};
+    const add = (directive, source) => {
+        if (!source) return;
+        if (!found[directive]) found[directive] = new Set();
+        found[directive].add(source);
+    };
+    const addUrls = (directive, value, srcset) => {
+        const urls = srcset ? value.split(',').map(candidate => candidate.trim().split(/\s+/)[0]) : [value];
+        for (const url of urls) add(directive, urlSource(url));
+    };
+
+    // Inline code is allowed by hash; script and style contents are left out of the element scan
+    const rest = html
+        .replace(/<script\b((?:[^>"']|"[^"]*"|'[^']*')*)>([\s\S]*?)<\/script\s*>/gi, (match, attrSource, content) => {
+            const attrs = parseAttributes(attrSource);
+            if (attrs.src !== undefined) {
+                addUrls('script-src', attrs.src);
+            } else if (SCRIPT_TYPES.includes((attrs.type || '').toLowerCase()) && content.trim() !== '') {
+                add('script-src', hashSource(content));
+            }
+            return `<script${attrSource}></script>`;
+        })
+        .replace(/<style\b((?:[^>"']|"[^"]*"|'[^']*')*)>([\s\S]*?)<\/style\s*>/gi, (match, attrSource, content) => {
+            if (content.trim() !== '') add('style-src', hashSource(content));
+            return `<style${attrSource}></style>`;
+        })
+        .replace(/<!--[\s\S]*?-->/g, '');
+
+    for (const [, tagName, attrSource] of rest.matchAll(/<([a-z][a-z0-9-]*)\b((?:[^>"']|"[^"]*"|'[^']*')*)>/gi)) {
+        const tag = tagName.toLowerCase();
+        const attrs = parseAttributes(attrSource);
+
+        if (tag === 'link' && attrs.href) {
+            for (const rel of (attrs.rel || '').toLowerCase().split(/\s+/)) {
+                const directive = rel === 'preload' ? PRELOAD_DIRECTIVES[(attrs.as || '').toLowerCase()] : LINK_DIRECTIVES[rel];
+                if (directive) addUrls(directive, attrs.href);
+            }
+        }
+        for (const [attr, directive] of Object.entries(URL_ATTRIBUTES[tag] || {})) {
+            if (attrs[attr] !== undefined) addUrls(directive, attrs[attr], attr === 'srcset');
+        }
+
+        // Inline style and event handler attributes need 'unsafe-hashes' on top of their hash
+        for (const [attr, value] of Object.entries(attrs)) {
+            const directive = attr === 'style' ? 'style-src' : /^on[a-z]+$/.test(attr) && tag !== 'script' ? 'script-src' : null;
+            if (directive && value.trim() !== '') {
+                add(directive, "'unsafe-hashes'");
+                add(directive, hashSource(value));
+            }
+        }
+    }
+
+    return Object.fromEntries(Object.entries(found).map(([directive, sources]) => [directive, [...sources]]));
+}
+
+/**
+ * Sort a directive's sources: 'self', other keywords, hosts and schemes, then hashes.
+ */
+function sourceOrder(source) {
+    if (source === "'self'") return 0;
+    if (/^'(sha256|sha384|sha512|nonce)-/.test(source)) return 3;
+    return source.startsWith("'") ? 1 : 2;
+}
+
+/**
+ * Combine the scans of a campaign's pages and its allowlist into a policy.
+ *
+ * @param {Object<string, string[]>[]} scans
+ * @param {object} csp - Resolved settings (see resolveCsp)
+ * @returns {string} e.g. "default-src 'self'; script-src 'self' https://cdn.jsdelivr.net; …"
+ */
+function buildPolicy(scans, csp) {
+    const directives = {};
+    for (const sources of [BASE_POLICY, ...scans, csp.allow]) {
+        for (const [directive, values] of Object.entries(sources)) {
+            if (!directives[directive]) directives[directive] = new Set();
+            for (const value of values) directives[directive].add(value);
+        }
+    }
+    // 'none' only stands alone
+    for (const sources of Object.values(directives)) {
+        if (sources.size > 1) sources.delete("'none'");
+    }
+
+    const order = (directive) => (DIRECTIVES.includes(directive) ? DIRECTIVES.indexOf(directive) : DIRECTIVES.length);
+    const parts = Object.keys(directives)
+        .sort((a, b) => order(a) - order(b) || a.localeCompare(b))
+        .map((directive) => {
+            const sources = [...directives[directive]].sort((a, b) => sourceOrder(a) - sourceOrder(b) || a.localeCompare(b));
+            return `${directive} ${sources.join(' ')}`;
+        });
+    if (csp.reportUri) parts.push(`report-uri ${csp.reportUri}`);
+    return parts.join('; ');
+}
+
+/**
+ * Add the policy as a <meta> tag at the start of a page's <head>. Pages without
+ * a <head> (fragments) are returned unchanged. Directives browsers ignore in a
+ * meta tag are dropped.
+ */
+function injectMeta(html, policy) {
+    const content = policy.split('; ').filter(part => !META_IGNORED.includes(part.split(' ')[0])).join('; ');
+    const meta = `<meta http-equiv="Content-Security-Policy" content="${content.replace(/&/g, '&amp;').replace(/"/g, '&quot;')}">`;
+    return html.replace(/<head\b(?:[^>"']|"[^"]*"|'[^']*')*>/i, match => `${match}${meta}`);
+}
+
+/**
+ * The `_headers` entry applying a campaign's policy to its URLs.
+ *
+ * @param {string} slug
+ * @param {string} policy
+ * @param {object} opts
+ * @param {boolean} opts.reportOnly
+ * @param {string}  opts.scope - URL path the campaign is served under (/starter/, /offers/starter/)
+ */
+function headersBlock(slug, policy, { reportOnly, scope }) {
+    const header = reportOnly ? 'Content-Security-Policy-Report-Only' : 'Content-Security-Policy';
+    return `# campaign-csp: ${slug}\n${scope}*\n  ${header}: ${policy}\n`;
+}
+
+/**
+ * Replace the given campaigns' entries in a `_headers` file, keeping everything
+ * else in it. A null block removes the campaign's entry.
+ *
+ * @param {string} file
+ * @param {Object<string, string|null>} blocks - headersBlock() output by slug
+ */
+function updateHeaders(file, blocks) {
+    const existing = fs.existsSync(file) ? fs.readFileSync(file, 'utf8') : '';
+    const kept = [];
+    let skipping = false;
+    for (const line of existing.split('\n')) {
+        const marker = line.match(/^# campaign-csp: (.+)$/);
+        if (marker && marker[1] in blocks) skipping = true;
+        else if (skipping && line.trim() === '') skipping = false;
+        else if (!skipping) kept.push(line);
+    }
+    const added = Object.values(blocks).filter(Boolean);
+    const content = [kept.join('\n').trim(), ...added.map(block => block.trim())].filter(Boolean).join('\n\n');
+    if (content === '' && existing === '') return;
+    fs.writeFileSync(file, content ? `${content}\n` : '', 'utf8');
+}
+
+module.exports = { resolveCsp, urlSource, scanHtml, buildPolicy, injectMeta, headersBlock, updateHeaders };
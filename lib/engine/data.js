@@ -0,0 +1,58 @@
+/**
+ * Data files.
+ *
+ * Every _data/*.json and _data/*.yaml file at the project root is loaded into the
+ * global `data` object, and every src/[slug]/_data/* file into `campaign.data`,
+ * keyed by file name without extension: _data/products.yaml → {{ data.products }}.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+
+const DATA_EXTENSIONS = ['.json', '.yaml', '.yml'];
+
+function parseDataFile(filePath) {
+    const raw = fs.readFileSync(filePath, 'utf8');
+    try {
+        return path.extname(filePath) === '.json' ? JSON.parse(raw) : yaml.load(raw);
+    } catch (e) {
+        throw new Error(`Invalid data file ${filePath}: ${e.message}`);
+    }
+}
+
+/**
+ * Load the data files directly inside a directory.
+ * A missing directory yields no data. Two files with the same name (faq.json and
+ * faq.yaml) are an error rather than one silently winning.
+ *
+ * @param {string}   dir
+ * @param {object}   [opts]
+ * @param {Function} [opts.exclude] - Called with each file path; true skips it (e.g. campaigns.json)
+ * @returns {{ values: object, files: string[] }} `files` lists the absolute paths read
+ */
+function loadDataDir(dir, { exclude = () => false } = {}) {
+    const values = {};
+    const files = [];
+    if (!fs.existsSync(dir)) return { values, files };
+
+    const entries = fs.readdirSync(dir, { withFileTypes: true })
+        .filter(entry => entry.isFile() && DATA_EXTENSIONS.includes(path.extname(entry.name)))
+        .map(entry => entry.name)
+        .sort();
+
+    for (const name of entries) {
+        const filePath = path.join(dir, name);
+        if (exclude(filePath)) continue;
+
+        const key = path.basename(name, path.extname(name));
+        if (Object.prototype.hasOwnProperty.call(values, key)) {
+            throw new Error(`Duplicate data file for "${key}" in ${dir}`);
+        }
+        values[key] = parseDataFile(filePath);
+        files.push(filePath);
+    }
+    return { values, files };
+}
+
+module.exports = { DATA_EXTENSIONS, loadDataDir };
@@ -0,0 +1,55 @@
+/**
+ * Page dependency graph.
+ *
+ * Records the files each page read while it was built — its layout, every
+ * campaign_include (nested ones too) and the data files behind its context —
+ * so the dev server can rebuild only the pages affected by a change.
+ */
+
+const path = require('path');
+
+/**
+ * Create an empty dependency graph.
+ *
+ * Pages are keyed by their src-relative path (as passed to build()); dependencies
+ * are stored as absolute paths so they can be matched against watcher events.
+ *
+ * @returns {{ record, forget, dependentsOf, dependenciesOf, pages }}
+ */
+function createDependencyGraph() {
+    const graph = new Map();
+
+    /** Replace the recorded dependencies of a page. */
+    function record(relFile, dependencies) {
+        graph.set(relFile, new Set([...dependencies].map(file => path.resolve(file))));
+    }
+
+    /** Drop a page from the graph (e.g. after its source was deleted). */
+    function forget(relFile) {
+        graph.delete(relFile);
+    }
+
+    /** List the pages that depend on a file. */
+    function dependentsOf(filePath) {
+        const target = path.resolve(filePath);
+        const pages = [];
+        for (const [relFile, dependencies] of graph) {
+            if (dependencies.has(target)) pages.push(relFile);
+        }
+        return pages;
+    }
+
+    /** List the files a page depends on. */
+    function dependenciesOf(relFile) {
+        return [...(graph.get(relFile) || [])];
+    }
+
+    /** List every page in the graph. */
+    function pages() {
+        return [...graph.keys()];
+    }
+
+    return { record, forget, dependentsOf, dependenciesOf, pages };
+}
+
+module.exports = { createDependencyGraph };
@@ -0,0 +1,139 @@
+/**
+ * Per-campaign export archives.
+ *
+ * Builds the selected campaigns into a scratch directory and packs each one's
+ * output into [slug].tar.gz: its pages and assets at the archive root, plus a
+ * SHA256SUMS file with a checksum for every file (`sha256sum -c SHA256SUMS`).
+ * With a base path, the campaign's absolute URLs (/starter/…) are rewritten so
+ * the archive can be hosted under that path instead. Archives never use
+ * asset_base_url: their assets are served from wherever they are extracted.
+ * Rewriting a script or stylesheet changes its SRI hash, so the pages'
+ * integrity attributes are updated to match. Content Security Policies are
+ * computed from the archived pages, after any rewriting changed their inline
+ * scripts, and a campaign's `_headers` entry goes into its archive.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const fg = require('fast-glob');
+const { build } = require('./build');
+const { hashContent } = require('./assets');
+const { integrityOf } = require('./integrity');
+const { createTarball } = require('./archive');
+const { normalizeBasePath, resolveBaseUrls, withBasePath } = require('./urls');
+const { resolveCsp, scanHtml, buildPolicy, injectMeta, headersBlock } = require('./csp');
+const { loadProjectConfig } = require('../config');
+const logger = require('../logger');
+
+const CHECKSUMS_FILE = 'SHA256SUMS';
+
+// Output files that can reference the campaign's URLs
+const REWRITE_EXTENSIONS = ['.html', '.css', '.js'];
+
+/**
+ * Rewrite absolute URLs to a campaign (/starter/…) in a text file to start
+ * with basePath instead. Only URLs at the start of an attribute, url() or
+ * string are rewritten, so a /starter/ inside another path is left alone.
+ */
+function rewriteBasePath(content, slug, basePath) {
+    const escaped = slug.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    return content.replace(new RegExp(`(^|[\\s"'(=,])/${escaped}/`, 'g'), (match, before) => `${before}${basePath}`);
+}
+
+/**
+ * Build campaigns and write one archive per campaign.
+ * Throws, without writing archives, when a page fails or writes outside its
+ * campaign's directory.
+ *
+ * @param {object} opts - build() options, plus:
+ * @param {object} opts.campaigns  - Campaigns to export, already resolved for opts.env
+ * @param {string} opts.exportPath - Directory the archives are written to
+ * @param {string} [opts.basePath] - URL path (or URL) the archives will be hosted under
+ * @returns {Promise<{ slug: string, file: string, files: number, bytes: number }[]>}
+ */
+async function exportCampaigns(opts) {
+    const { exportPath, basePath: rawBasePath, ...buildOpts } = opts;
+    const basePath = rawBasePath ? normalizeBasePath(rawBasePath) : null;
+    const outputPath = fs.mkdtempSync(path.join(os.tmpdir(), 'campaign-export-'));
+
+    try {
+        // Archives carry their own assets, and --base-path replaces the configured base path
+        const baseUrls = basePath ? { basePath: null, assetBaseUrl: null } : { assetBaseUrl: null };
+        // Policies are added below, once the pages' final content is known
+        const result = await build({ ...buildOpts, outputPath, manifest: false, baseUrls, csp: false });
+        if (result.errors > 0) {
+            throw new Error(`Build failed with ${result.errors} error${result.errors !== 1 ? 's' : ''}, nothing exported`);
+        }
+
+        // A permalink set to warn can write outside the campaign; its archive would miss the page
+        const outside = result.pages.filter(page => !page.output.startsWith(`${page.file.split('/')[0]}/`));
+        if (outside.length > 0) {
+            const list = outside.map(page => `${page.file} → ${page.output}`).join(', ');
+            throw new Error(`Pages write outside their campaign's directory: ${list}`);
+        }
+
+        const settings = buildOpts.config || loadProjectConfig(buildOpts.configPath);
+        fs.mkdirSync(exportPath, { recursive: true });
+        const archives = [];
+        for (const slug of Object.keys(opts.campaigns)) {
+            const campaignDir = path.join(outputPath, slug);
+            const names = fs.existsSync(campaignDir) ? (await fg('**/*', { cwd: campaignDir, dot: true })).sort() : [];
+            if (names.length === 0) logger.warn(`${slug}: nothing was built, the archive only has checksums`);
+
+            // Integrity of rewritten scripts and styles, before → after
+            const rehashed = new Map();
+            const entries = names.map((name) => {
+                let content = fs.readFileSync(path.join(campaignDir, name));
+                if (basePath && REWRITE_EXTENSIONS.includes(path.extname(name))) {
+                    const rewritten = Buffer.from(rewriteBasePath(content.toString('utf8'), slug, basePath));
+                    if (path.extname(name) !== '.html' && !rewritten.equals(content)) {
+                        rehashed.set(integrityOf(content), integrityOf(rewritten));
+                    }
+                    content = rewritten;
+                }
+                return { name, content };
+            });
+            for (const entry of entries) {
+                if (rehashed.size === 0 || path.extname(entry.name) !== '.html') continue;
+                let html = entry.content.toString('utf8');
+                for (const [before, after] of rehashed) html = html.split(before).join(after);
+                entry.content = Buffer.from(html);
+            }
+            const csp = resolveCsp(settings, { slug, ...opts.campaigns[slug] });
+            if (csp) {
+                // Served where the archive is extracted: the --base-path, or the campaign's usual URL
+                const scope = basePath
+                    ? new URL(basePath, 'https://localhost').pathname
+                    : withBasePath(`/${slug}/`, resolveBaseUrls(settings, opts.campaigns[slug]).basePath);
+                entries.push(...campaignPolicy(entries, slug, csp, scope));
+            }
+            const checksums = entries.map(entry => `${hashContent(entry.content)}  ${entry.name}\n`).join('');
+            entries.push({ name: CHECKSUMS_FILE, content: checksums });
+
+            const file = path.join(exportPath, `${slug}.tar.gz`);
+            const archive = createTarball(entries);
+            fs.writeFileSync(file, archive);
+            archives.push({ slug, file, files: entries.length - 1, bytes: archive.length });
+        }
+        return archives;
+    } finally {
+        fs.rmSync(outputPath, { recursive: true, force: true });
+    }
+}
+
+/**
+ * Add a campaign's Content Security Policy to its archived pages, as build()
+ * does for _site/. Returns the `_headers` entry to archive when the policy is
+ * sent as a header.
+ */
+function campaignPolicy(entries, slug, csp, scope) {
+    const pages = entries.filter(entry => path.extname(entry.name) === '.html');
+    const policy = buildPolicy(pages.map(entry => scanHtml(entry.content.toString('utf8'))), csp);
+    if (csp.meta && !csp.reportOnly) {
+        for (const entry of pages) entry.content = Buffer.from(injectMeta(entry.content.toString('utf8'), policy));
+    }
+    return csp.headers ? [{ name: '_headers', content: headersBlock(slug, policy, { reportOnly: csp.reportOnly, scope }) }] : [];
+}
+
+module.exports = { CHECKSUMS_FILE, rewriteBasePath, exportCampaigns };
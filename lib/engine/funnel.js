@@ -0,0 +1,139 @@
+/**
+ * Funnel flow validation.
+ *
+ * Pages hand customers on through next_success_url, next_upsell_accept and
+ * next_upsell_decline. This resolves those fields the way campaign_link does and
+ * checks that they point at pages of the same campaign, that every checkout
+ * reaches a receipt without dead ends or loops, and that every upsell and
+ * receipt page can be reached from a checkout. Findings about the shape of the
+ * funnel rather than a broken link are flagged `flow`, so they can have their
+ * own validation level.
+ */
+
+const { resolveLink, pageDir } = require('./urls');
+const { pageLabel } = require('./variants');
+
+const FUNNEL_FIELDS = ['next_success_url', 'next_upsell_accept', 'next_upsell_decline'];
+
+// Fields a page of each type must set to move the customer on
+const REQUIRED_FIELDS = {
+    checkout: ['next_success_url'],
+    upsell: ['next_upsell_accept', 'next_upsell_decline'],
+};
+
+/**
+ * Resolve a page's funnel fields to target pages.
+ * Links that leave the campaign (external URLs, absolute paths elsewhere) are not followed.
+ *
+ * @returns {{ edges: { field, page }[], issues: { file, message }[] }}
+ */
+function resolveFunnelLinks(page, byUrl) {
+    const edges = [];
+    const issues = [];
+    const slug = page.campaign.slug;
+
+    for (const field of FUNNEL_FIELDS) {
+        const value = page.frontmatter[field];
+        if (!value) continue;
+        if (typeof value !== 'string') {
+            issues.push({ file: pageLabel(page), message: `${field} must be a page reference, got ${JSON.stringify(value)}` });
+            continue;
+        }
+
+        const url = resolveLink(value, slug, pageDir(page.relFile), page.locale);
+        if (!url.startsWith(`/${slug}/`)) continue;
+
+        const target = byUrl.get(url);
+        if (target) {
+            edges.push({ field, page: target });
+        } else {
+            issues.push({ file: pageLabel(page), message: `${field} "${value}" resolves to ${url}, which is not a page of this campaign` });
+        }
+    }
+    return { edges, issues };
+}
+
+/**
+ * Validate the funnel of every campaign among the given pages.
+ * Needs the complete page list of each campaign, so only run it on full builds.
+ *
+ * @param {object[]} pages - Planned pages ({ relFile, url, frontmatter, campaign })
+ * @returns {{ file: string, message: string, flow: boolean }[]}
+ */
+function validateFunnel(pages) {
+    const issues = [];
+    const seen = new Set();
+    const report = (file, message, flow = true) => {
+        const key = `${file}\n${message}`;
+        if (seen.has(key)) return;
+        seen.add(key);
+        issues.push({ file, message, flow });
+    };
+
+    const bySlug = new Map();
+    for (const page of pages) {
+        const list = bySlug.get(page.campaign.slug) || [];
+        list.push(page);
+        bySlug.set(page.campaign.slug, list);
+    }
+
+    for (const campaignPages of bySlug.values()) {
+        const byUrl = new Map(campaignPages.map(page => [page.url, page]));
+        const edges = new Map();
+
+        for (const page of campaignPages) {
+            const resolved = resolveFunnelLinks(page, byUrl);
+            edges.set(page, resolved.edges);
+            for (const issue of resolved.issues) report(issue.file, issue.message, false);
+
+            for (const field of REQUIRED_FIELDS[page.frontmatter.page_type] || []) {
+                if (!page.frontmatter[field]) {
+                    report(pageLabel(page), `${page.frontmatter.page_type} page is a dead end: ${field} is not set`);
+                }
+            }
+        }
+
+        // Walk every path from each checkout; each must end at a receipt
+        const reached = new Set();
+        const done = new Set();
+        const walk = (page, trail) => {
+            if (trail.includes(page)) {
+                const loop = [...trail.slice(trail.indexOf(page)), page].map(p => p.url).join(' → ');
+                report(pageLabel(trail[trail.length - 1]), `funnel loops back on itself: ${loop}`);
+                return;
+            }
+            if (done.has(page)) return;
+            reached.add(page);
+            const type = page.frontmatter.page_type;
+            if (type === 'receipt') return;
+
+            const next = edges.get(page);
+            if (next.length === 0) {
+                // Checkouts and upsells without links are already reported above
+                if (!REQUIRED_FIELDS[type]) {
+                    report(pageLabel(page), `funnel dead end: ${type || 'untyped'} page ${page.url} does not lead to a receipt`);
+                }
+                return;
+            }
+            for (const edge of next) walk(edge.page, [...trail, page]);
+            done.add(page);
+        };
+
+        const checkouts = campaignPages.filter(page => page.frontmatter.page_type === 'checkout');
+        for (const checkout of checkouts) walk(checkout, []);
+
+        if (checkouts.length === 0) continue;
+        for (const page of campaignPages) {
+            const type = page.frontmatter.page_type;
+            // Split-test variants get their traffic by URL, not through funnel links
+            if (page.variant) continue;
+            if ((type === 'upsell' || type === 'receipt') && !reached.has(page)) {
+                report(pageLabel(page), `${type} page ${page.url} is not reachable from any checkout page`);
+            }
+        }
+    }
+
+    return issues;
+}
+
+module.exports = { FUNNEL_FIELDS, validateFunnel };
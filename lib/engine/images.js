@@ -0,0 +1,118 @@
+/**
+ * Responsive images for the campaign_image tag.
+ *
+ * Resizes a campaign image to each requested width in AVIF, WebP and its own
+ * format, and writes the copies next to the original in _site/[slug]/:
+ * images/hero.jpg → images/hero-480w.3f9a1c2b.avif, images/hero-480w.3f9a1c2b.jpg, …
+ * (the hash is the source's, so a changed image gets new URLs).
+ *
+ * Encoding is slow, so every copy is also kept in a cache directory keyed by
+ * the source's content and reused by later builds.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { hashContent, fingerprintName } = require('./assets');
+
+// Formats sharp resizes, by extension; other images (SVG, GIF) are used as they are
+const SOURCE_FORMATS = { '.jpg': 'jpeg', '.jpeg': 'jpeg', '.png': 'png', '.webp': 'webp' };
+const ENCODERS = {
+    avif: { mime: 'image/avif', ext: '.avif', options: { quality: 50 } },
+    webp: { mime: 'image/webp', ext: '.webp', options: { quality: 75 } },
+    jpeg: { mime: 'image/jpeg', ext: '.jpg', options: { quality: 80, progressive: true } },
+    png: { mime: 'image/png', ext: '.png', options: { compressionLevel: 9 } },
+};
+
+// Copies being encoded, shared by the pages that need them at the same time.
+// Finished copies are looked up in the cache directory, which may be cleared at any time.
+const pending = new Map();
+
+/**
+ * Whether campaign_image can resize an image, judging by its extension.
+ */
+function isResizable(name) {
+    return path.extname(name).toLowerCase() in SOURCE_FORMATS;
+}
+
+/**
+ * Write a file through a temporary name, so a concurrent reader (another
+ * worker) never sees it half-written.
+ */
+function writeAtomic(file, content) {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    const tmp = `${file}.${process.pid}.${Math.random().toString(36).slice(2)}.tmp`;
+    fs.writeFileSync(tmp, content);
+    fs.renameSync(tmp, file);
+}
+
+async function encode(source, width, format, cacheFile) {
+    if (!pending.has(cacheFile)) {
+        pending.set(cacheFile, (async () => {
+            if (fs.existsSync(cacheFile)) return;
+            const sharp = require('sharp');
+            const { options } = ENCODERS[format];
+            const buffer = await sharp(source).rotate().resize({ width })[format](options).toBuffer();
+            writeAtomic(cacheFile, buffer);
+        })().finally(() => pending.delete(cacheFile)));
+    }
+    await pending.get(cacheFile);
+}
+
+/**
+ * Generate the responsive copies of a campaign image.
+ *
+ * Widths above the image's own are dropped (images are never enlarged); when
+ * none remain, the image's own width is used.
+ *
+ * @param {object}   opts
+ * @param {string}   opts.srcPath
+ * @param {string}   opts.slug
+ * @param {string}   opts.name       - Image path relative to the campaign's assets (images/hero.jpg)
+ * @param {number[]} opts.widths
+ * @param {string}   opts.outputPath
+ * @param {string}   opts.cacheDir
+ * @returns {Promise<{ width: number, height: number, sources: { type: string, srcset: { name: string, width: number }[] }[],
+ *                     outputs: { source: string, output: string, size: number, hash: string }[] }>}
+ *   `sources` lists the formats best first, the image's own format last; names are relative to the campaign
+ */
+async function responsiveImage({ srcPath, slug, name, widths, outputPath, cacheDir }) {
+    const sharp = require('sharp');
+    const source = path.join(srcPath, slug, 'assets', name);
+    const content = fs.readFileSync(source);
+    const hash = hashContent(content);
+    const meta = await sharp(content).rotate().metadata();
+    // metadata() reports the stored size; EXIF orientations 5-8 are rotated a quarter turn
+    const [fullWidth, fullHeight] = meta.orientation >= 5 ? [meta.height, meta.width] : [meta.width, meta.height];
+
+    const sizes = [...new Set(widths.filter(w => w <= fullWidth))].sort((a, b) => a - b);
+    if (sizes.length === 0) sizes.push(fullWidth);
+
+    const own = SOURCE_FORMATS[path.extname(name).toLowerCase()];
+    const formats = [...new Set(['avif', 'webp', own])];
+    const base = name.slice(0, name.length - path.extname(name).length);
+
+    const sources = [];
+    const outputs = [];
+    for (const format of formats) {
+        const srcset = [];
+        for (const width of sizes) {
+            const copy = fingerprintName(`${base}-${width}w${ENCODERS[format].ext}`, hash);
+            const cacheFile = path.join(cacheDir, `${hash.slice(0, 16)}-${width}w${ENCODERS[format].ext}`);
+            await encode(content, width, format, cacheFile);
+
+            const output = `${slug}/${copy}`;
+            const resized = fs.readFileSync(cacheFile);
+            const dest = path.join(outputPath, output);
+            if (!fs.existsSync(dest) || fs.statSync(dest).size !== resized.length) writeAtomic(dest, resized);
+
+            srcset.push({ name: copy, width });
+            outputs.push({ source: `${slug}/assets/${name}`, output, size: resized.length, hash: hashContent(resized) });
+        }
+        sources.push({ type: ENCODERS[format].mime, srcset });
+    }
+
+    const width = sizes[sizes.length - 1];
+    return { width, height: Math.round((fullHeight * width) / fullWidth), sources, outputs };
+}
+
+module.exports = { isResizable, responsiveImage };
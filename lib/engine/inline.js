@@ -0,0 +1,90 @@
+/**
+ * Inlined assets for the campaign_inline tag.
+ *
+ * CSS is inlined into <style>, JavaScript into <script>, SVG as markup and
+ * small images as data: URIs. Files are read once and kept in memory until they
+ * change, so pages sharing an icon or stylesheet do not read it again.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const logger = require('../logger');
+
+// Images above this size make the page heavier than the request they save
+const IMAGE_LIMIT = 10 * 1024;
+
+const IMAGE_TYPES = {
+    '.png': 'image/png',
+    '.jpg': 'image/jpeg',
+    '.jpeg': 'image/jpeg',
+    '.gif': 'image/gif',
+    '.webp': 'image/webp',
+    '.avif': 'image/avif',
+    '.ico': 'image/x-icon',
+};
+
+// Contents by absolute path, with the size and mtime they were read at
+const cache = new Map();
+
+function readCached(file) {
+    const { size, mtimeMs } = fs.statSync(file);
+    const cached = cache.get(file);
+    if (cached && cached.size === size && cached.mtimeMs === mtimeMs) return cached.content;
+    const content = fs.readFileSync(file);
+    cache.set(file, { size, mtimeMs, content });
+    return content;
+}
+
+/**
+ * Point relative url() references in a stylesheet at the asset they meant, since
+ * inlined CSS resolves them from the page instead: url(../fonts/a.woff2) in
+ * css/app.css → url(/starter/fonts/a.woff2).
+ */
+function rewriteCssUrls(css, name, resolveUrl) {
+    return css.replace(/url\(\s*(['"]?)([^'")]+)\1\s*\)/g, (match, quote, ref) => {
+        if (/^([a-z][a-z0-9+.-]*:|\/|#)/i.test(ref)) return match;
+        const target = path.posix.normalize(path.posix.join(path.posix.dirname(name), ref));
+        return target.startsWith('../') ? match : `url(${quote}${resolveUrl(target)}${quote})`;
+    });
+}
+
+/**
+ * The markup that inlines an asset.
+ * Throws for file types that cannot be inlined.
+ *
+ * @param {string}   file  - Absolute path of the asset
+ * @param {string}   name  - Asset name relative to the campaign's assets (css/critical.css)
+ * @param {object}   opts
+ * @param {string}   [opts.attrs]    - Rendered attributes for the <style>, <script> or <svg> element
+ * @param {Function} opts.resolveUrl - Maps another asset name to its URL (for url() in CSS)
+ * @returns {string}
+ */
+function inlineAsset(file, name, { attrs = '', resolveUrl }) {
+    const ext = path.extname(name).toLowerCase();
+    const content = readCached(file);
+
+    if (ext === '.css') {
+        const css = rewriteCssUrls(content.toString('utf8'), name, resolveUrl);
+        return `<style${attrs}>${css.replace(/<\/style/gi, '<\\/style')}</style>`;
+    }
+    if (ext === '.js' || ext === '.mjs') {
+        return `<script${attrs}>${content.toString('utf8').replace(/<\/script/gi, '<\\/script')}</script>`;
+    }
+    if (ext === '.svg') {
+        // Drop what is only valid at the start of a file, and give the <svg> the tag's attributes
+        const svg = content.toString('utf8')
+            .replace(/<\?xml[^>]*\?>/, '')
+            .replace(/<!DOCTYPE[^>]*>/i, '')
+            .trim();
+        return attrs ? svg.replace(/<svg\b/, `<svg${attrs}`) : svg;
+    }
+    if (IMAGE_TYPES[ext]) {
+        if (content.length > IMAGE_LIMIT) {
+            logger.warn(`campaign_inline: ${name} is ${Math.round(content.length / 1024)} KB, link large images with campaign_asset instead`);
+        }
+        return `data:${IMAGE_TYPES[ext]};base64,${content.toString('base64')}`;
+    }
+    throw new Error(`campaign_inline: cannot inline ${ext || name} files (CSS, JavaScript, SVG and images only)`);
+}
+
+module.exports = { inlineAsset };
@@ -0,0 +1,137 @@
+/**
+ * Subresource integrity (SRI) hashes for the campaign_integrity filter.
+ *
+ * Campaign assets are hashed as they are built. External URLs (CDN libraries)
+ * are not fetched at build time: their hashes come from integrity.lock.json,
+ * which `campaign-integrity` writes by hashing local copies of the files,
+ * listed under `integrity` in campaign.config.json:
+ *
+ *   "integrity": { "https://cdn.jsdelivr.net/npm/swiper@11/swiper-bundle.min.js": "node_modules/swiper/swiper-bundle.min.js" }
+ *
+ * The lockfile is committed, so a build never trusts what a CDN serves today.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const LOCK_FILE = 'integrity.lock.json';
+
+// Hashes by absolute path, with the size and mtime they were computed at
+const cache = new Map();
+
+/**
+ * The integrity attribute value for some content: sha384-<base64 digest>.
+ */
+function integrityOf(content) {
+    return `sha384-${crypto.createHash('sha384').update(content).digest('base64')}`;
+}
+
+/**
+ * Integrity of a file, computed again only when the file changes.
+ */
+function fileIntegrity(file) {
+    const { size, mtimeMs } = fs.statSync(file);
+    const cached = cache.get(file);
+    if (cached && cached.size === size && cached.mtimeMs === mtimeMs) return cached.integrity;
+    const integrity = integrityOf(fs.readFileSync(file));
+    cache.set(file, { size, mtimeMs, integrity });
+    return integrity;
+}
+
+/**
+ * Load the lockfile: { [url]: integrity }. A missing lockfile is empty.
+ * Throws on invalid JSON or entries.
+ */
+function loadLock(lockPath) {
+    if (!fs.existsSync(lockPath)) return {};
+    let lock;
+    try {
+        lock = JSON.parse(fs.readFileSync(lockPath, 'utf8'));
+    } catch (e) {
+        throw new Error(`Invalid integrity lockfile ${lockPath}: ${e.message}`);
+    }
+    if (!lock || typeof lock !== 'object' || Array.isArray(lock)
+        || Object.values(lock).some(value => typeof value !== 'string')) {
+        throw new Error(`Invalid integrity lockfile ${lockPath}: expected an object of URLs and hashes`);
+    }
+    return lock;
+}
+
+/**
+ * Write the lockfile with its URLs sorted, so refreshes give small diffs.
+ */
+function writeLock(lockPath, lock) {
+    const sorted = Object.fromEntries(Object.keys(lock).sort().map(url => [url, lock[url]]));
+    fs.writeFileSync(lockPath, JSON.stringify(sorted, null, 2) + '\n', 'utf8');
+}
+
+/**
+ * The local copies of external files from project settings, as absolute paths
+ * by URL. Throws on entries that do not map a URL to a path.
+ *
+ * @param {object} settings - Project settings (campaign.config.json)
+ * @param {string} rootPath - Directory the local copies are relative to
+ * @returns {Object<string, string>}
+ */
+function integritySources(settings, rootPath) {
+    const sources = settings.integrity || {};
+    if (typeof sources !== 'object' || Array.isArray(sources)) {
+        throw new Error('"integrity" in campaign.config.json must map URLs to local copies of the files');
+    }
+    const resolved = {};
+    for (const [url, file] of Object.entries(sources)) {
+        if (!/^https?:\/\//.test(url)) throw new Error(`"integrity" in campaign.config.json: "${url}" is not a URL`);
+        if (typeof file !== 'string' || file === '') {
+            throw new Error(`"integrity" in campaign.config.json: ${url} must name a local copy of the file`);
+        }
+        resolved[url] = path.resolve(rootPath, file);
+    }
+    return resolved;
+}
+
+/**
+ * Hash every local copy into a new lock, listing what changed since the previous one.
+ * Throws when a local copy does not exist.
+ *
+ * @param {object} previous - The current lock
+ * @param {object} sources  - Local copies by URL (see integritySources)
+ * @returns {{ lock: object, added: string[], updated: string[], removed: string[] }}
+ */
+function refreshLock(previous, sources) {
+    const missing = Object.entries(sources).filter(([, file]) => !fs.existsSync(file));
+    if (missing.length > 0) {
+        throw new Error(`Local copies not found: ${missing.map(([url, file]) => `${file} (${url})`).join(', ')}`);
+    }
+
+    const lock = {};
+    for (const [url, file] of Object.entries(sources)) lock[url] = fileIntegrity(file);
+    return {
+        lock,
+        added: Object.keys(lock).filter(url => !(url in previous)),
+        updated: Object.keys(lock).filter(url => url in previous && previous[url] !== lock[url]),
+        removed: Object.keys(previous).filter(url => !(url in lock)),
+    };
+}
+
+/**
+ * Integrity of an external URL from the lock, checked against its local copy
+ * when the project has one. Throws when the URL is not locked or its local
+ * copy has changed since the lock was written.
+ *
+ * @param {string} url
+ * @param {object} integrity - { lock, sources } (see loadLock and integritySources)
+ */
+function externalIntegrity(url, { lock, sources }) {
+    const hash = lock[url];
+    if (!hash) {
+        throw new Error(`${url} has no hash in ${LOCK_FILE}: add a local copy under "integrity" in campaign.config.json and run campaign-integrity`);
+    }
+    const source = sources[url];
+    if (source && fs.existsSync(source) && fileIntegrity(source) !== hash) {
+        throw new Error(`${url} does not match its hash in ${LOCK_FILE}: its local copy has changed, run campaign-integrity`);
+    }
+    return hash;
+}
+
+module.exports = { LOCK_FILE, integrityOf, fileIntegrity, loadLock, writeLock, integritySources, refreshLock, externalIntegrity };
@@ -0,0 +1,113 @@
+/**
+ * Localised campaign builds.
+ *
+ * Translations live in src/[slug]/_locales/<locale>.json (or .yaml). Pages are
+ * built once in the campaign's default locale ("default_locale" in campaigns.json,
+ * "en" if unset) at their usual URLs, and once more for every other locale under
+ * /[slug]/<locale>/… — src/starter/checkout.html → /starter/de/checkout/.
+ *
+ * Templates translate with the `t` filter: {{ 'checkout.title' | t }}. Keys are
+ * dot paths into the dictionary; {name} placeholders are filled from keyword
+ * arguments: {{ 'cart.items' | t: count: 3 }}.
+ */
+
+const path = require('path');
+const { loadDataDir } = require('./data');
+const { localizeUrl } = require('./urls');
+
+const LOCALE_NAME = /^[a-z]{2,3}([-_][a-z0-9]+)*$/i;
+
+/**
+ * The locale a campaign's pages are written in at their usual URLs.
+ */
+function defaultLocale(campaign) {
+    return campaign.default_locale || 'en';
+}
+
+/**
+ * Load a campaign's translation dictionaries.
+ *
+ * @returns {{ messages: { [locale]: object }, files: string[] }}
+ */
+function loadLocales(srcPath, slug) {
+    const dir = path.join(srcPath, slug, '_locales');
+    const { values, files } = loadDataDir(dir);
+    for (const locale of Object.keys(values)) {
+        if (!LOCALE_NAME.test(locale)) {
+            throw new Error(`Invalid locale file name "${locale}" in ${dir} (expected a code like "de" or "pt-BR")`);
+        }
+    }
+    return { messages: values, files };
+}
+
+/**
+ * Expand a planned page into itself (default locale) followed by one page per
+ * other locale of its campaign.
+ *
+ * @param {object}   page
+ * @param {string[]} locales   - The campaign's locales, default included
+ * @param {string}   outputPath
+ */
+function expandLocales(page, locales, outputPath) {
+    const expanded = [page];
+    for (const locale of locales) {
+        if (locale === defaultLocale(page.campaign)) continue;
+        const url = localizeUrl(page.url, page.campaign.slug, locale);
+        expanded.push({
+            ...page,
+            locale,
+            url,
+            outputFile: path.join(outputPath, ...url.split('/').filter(Boolean), 'index.html'),
+        });
+    }
+    return expanded;
+}
+
+/**
+ * Translation state for rendering a page, passed to renderPage as `i18n`.
+ *
+ * @param {object}   page       - Planned page (`locale` is unset for the default locale)
+ * @param {object}   messages   - The campaign's dictionaries ({ [locale]: object })
+ * @param {string[]} assetNames - The campaign's asset names, relative to the campaign
+ * @returns {{ locale: string, prefix: string|null, messages: object, fallback: object|null, assets: string[] }}
+ */
+function pageTranslations(page, messages, assetNames) {
+    const fallbackLocale = defaultLocale(page.campaign);
+    const locale = page.locale || fallbackLocale;
+    return {
+        locale,
+        prefix: page.locale || null,
+        messages: messages[locale] || {},
+        fallback: page.locale ? messages[fallbackLocale] || {} : null,
+        // Locale-specific copies of assets: assets/de/images/hero.jpg overrides images/hero.jpg
+        assets: page.locale ? assetNames.filter(name => name.startsWith(`${page.locale}/`)) : [],
+    };
+}
+
+function lookup(messages, key) {
+    let value = messages;
+    for (const part of String(key).split('.')) {
+        if (value === null || typeof value !== 'object' || !(part in value)) return undefined;
+        value = value[part];
+    }
+    return typeof value === 'object' ? undefined : value;
+}
+
+/**
+ * Translate a key for a page.
+ * Missing keys fall back to the default locale's text, then to the key itself.
+ *
+ * @returns {{ text: string, missing: boolean }}
+ */
+function translate(i18n, key, params = {}) {
+    let value = lookup(i18n.messages, key);
+    const missing = value === undefined;
+    if (missing && i18n.fallback) value = lookup(i18n.fallback, key);
+    const text = value === undefined ? String(key) : String(value);
+    return {
+        text: text.replace(/\{(\w+)\}/g, (match, name) => (name in params ? String(params[name]) : match)),
+        missing,
+    };
+}
+
+module.exports = { defaultLocale, loadLocales, expandLocales, pageTranslations, translate };
@@ -0,0 +1,43 @@
+/**
+ * Build manifest.
+ *
+ * After a full build, _site/.campaign-manifest.json records every page and asset
+ * each campaign produced, so deploy tooling can tell what changed between builds
+ * and which URLs make up each funnel.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const MANIFEST_FILE = '.campaign-manifest.json';
+
+/**
+ * Read the manifest from an output directory.
+ * Returns an empty manifest when none has been written yet.
+ */
+function readManifest(outputPath) {
+    const manifestPath = path.join(outputPath, MANIFEST_FILE);
+    if (!fs.existsSync(manifestPath)) return { campaigns: {} };
+    return JSON.parse(fs.readFileSync(manifestPath, 'utf8'));
+}
+
+/**
+ * Write the manifest, replacing the entries of the campaigns just built and
+ * keeping those of campaigns built previously.
+ *
+ * @param {string} outputPath
+ * @param {object} campaigns - { [slug]: { pages: [...], assets: [...] } }
+ * @param {object} [opts]
+ * @param {string} [opts.env] - Environment the build ran for, recorded as `env`
+ */
+function writeManifest(outputPath, campaigns, { env = null } = {}) {
+    const manifest = readManifest(outputPath);
+    manifest.generated_at = new Date().toISOString();
+    manifest.env = env;
+    manifest.campaigns = { ...manifest.campaigns, ...campaigns };
+
+    fs.mkdirSync(outputPath, { recursive: true });
+    fs.writeFileSync(path.join(outputPath, MANIFEST_FILE), JSON.stringify(manifest, null, 2), 'utf8');
+}
+
+module.exports = { MANIFEST_FILE, readManifest, writeManifest };
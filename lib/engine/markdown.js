@@ -0,0 +1,20 @@
+/**
+ * Markdown rendering for .md campaign pages.
+ *
+ * Markdown pages go through the same pipeline as HTML pages: their body is
+ * rendered with Liquid first, converted to HTML here, then wrapped in layouts.
+ * Raw HTML is allowed so Liquid tags (campaign_include) can emit markup.
+ */
+
+const MarkdownIt = require('markdown-it');
+
+const md = new MarkdownIt({ html: true });
+
+/**
+ * Convert Markdown to HTML.
+ */
+function renderMarkdown(src) {
+    return md.render(src);
+}
+
+module.exports = { renderMarkdown };
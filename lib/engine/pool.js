@@ -0,0 +1,79 @@
+/**
+ * Minimal worker thread pool.
+ *
+ * Runs tasks on a fixed number of workers, queueing the rest. Each worker script
+ * receives `{ id, task }` messages and must reply with `{ id, result }`.
+ */
+
+const { Worker } = require('worker_threads');
+
+/**
+ * Create a pool of workers running the same script.
+ *
+ * @param {string} script     - Absolute path to the worker script
+ * @param {number} size       - Number of workers to start
+ * @param {object} workerData - Passed to every worker as `workerData`
+ * @returns {{ run: (task: object) => Promise<object>, close: () => Promise<void> }}
+ */
+function createWorkerPool(script, size, workerData) {
+    const idle = [];
+    const workers = new Set();
+    const queue = [];
+    const running = new Map(); // worker → { id, resolve, reject }
+    let nextId = 0;
+
+    function spawn() {
+        const worker = new Worker(script, { workerData });
+
+        worker.on('message', ({ id, result }) => {
+            const job = running.get(worker);
+            if (!job || job.id !== id) return;
+            running.delete(worker);
+            idle.push(worker);
+            job.resolve(result);
+            drain();
+        });
+
+        // A crashed worker fails its current task and is replaced
+        worker.on('error', (err) => {
+            const job = running.get(worker);
+            running.delete(worker);
+            workers.delete(worker);
+            if (idle.includes(worker)) idle.splice(idle.indexOf(worker), 1);
+            if (job) job.reject(err);
+            spawn();
+            drain();
+        });
+
+        workers.add(worker);
+        idle.push(worker);
+    }
+
+    function drain() {
+        while (idle.length > 0 && queue.length > 0) {
+            const worker = idle.shift();
+            const job = queue.shift();
+            running.set(worker, job);
+            worker.postMessage({ id: job.id, task: job.task });
+        }
+    }
+
+    function run(task) {
+        return new Promise((resolve, reject) => {
+            queue.push({ id: nextId++, task, resolve, reject });
+            drain();
+        });
+    }
+
+    async function close() {
+        await Promise.all([...workers].map(worker => worker.terminate()));
+        workers.clear();
+        idle.length = 0;
+    }
+
+    for (let i = 0; i < size; i++) spawn();
+
+    return { run, close };
+}
+
+module.exports = { createWorkerPool };
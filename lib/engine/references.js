@@ -0,0 +1,68 @@
+/**
+ * Local asset references.
+ *
+ * Pages reference campaign assets through `campaign_asset` and through relative
+ * entries in their `styles` and `scripts` frontmatter. The build checks each
+ * against src/[slug]/assets/, so a typo is reported with the page and line
+ * instead of showing up as a 404 in the browser.
+ *
+ * A reference is { name, file, line }: the asset name relative to the campaign's
+ * assets, and where it was made (file relative to src/, 1-based line).
+ */
+
+const ASSET_FIELDS = ['styles', 'scripts'];
+
+/**
+ * Line (1-based) of a file at which `content` starts, for sources whose
+ * frontmatter has been split off: the body of a page or layout.
+ */
+function contentLine(raw, content) {
+    if (!raw.endsWith(content)) return 1;
+    return raw.slice(0, raw.length - content.length).split('\n').length;
+}
+
+/**
+ * Whether a styles/scripts entry names a campaign asset rather than a URL or a
+ * root-relative path.
+ */
+function isRelativeAsset(entry) {
+    return typeof entry === 'string' && entry !== '' && !/^([a-z][a-z0-9+.-]*:|\/)/i.test(entry);
+}
+
+/**
+ * The campaign assets named by a page's `styles` and `scripts` frontmatter.
+ *
+ * @param {object} page - Planned page ({ relFile, frontmatter, frontmatterSource })
+ * @returns {{ name: string, file: string, line: number }[]}
+ */
+function frontmatterAssetRefs(page) {
+    const lines = (page.frontmatterSource || '').split('\n');
+    const refs = [];
+    for (const field of ASSET_FIELDS) {
+        const entries = page.frontmatter[field];
+        if (!Array.isArray(entries)) continue;
+        for (const entry of entries.filter(isRelativeAsset)) {
+            const index = lines.findIndex(line => line.includes(entry));
+            refs.push({ name: entry.replace(/^\.\//, ''), file: page.relFile, line: index + 1 || 1 });
+        }
+    }
+    return refs;
+}
+
+/**
+ * References to assets that do not exist, each listed once.
+ *
+ * @param {{ name, file, line }[]} refs
+ * @param {Set<string>} assetNames - The campaign's asset names, relative to its assets/ directory
+ */
+function findMissingAssets(refs, assetNames) {
+    const seen = new Set();
+    return refs.filter((ref) => {
+        const key = `${ref.name}\n${ref.file}:${ref.line}`;
+        if (assetNames.has(ref.name) || seen.has(key)) return false;
+        seen.add(key);
+        return true;
+    });
+}
+
+module.exports = { contentLine, isRelativeAsset, frontmatterAssetRefs, findMissingAssets };
@@ -2,13 +2,25 @@
  * LiquidJS rendering engine for campaign pages.
  *
  * Creates a configured LiquidJS instance with campaign-aware filters and tags,
- * and provides a renderPage function that handles two-pass rendering:
- * page body first, then injected into the campaign layout.
+ * and provides a renderPage function that renders the page body first (then
+ * Markdown, for .md pages), then injects it into each of the campaign's layouts in turn.
  */
 
-const { Liquid } = require('liquidjs');
+const fs = require('fs');
+const path = require('path');
+const { Liquid, Context } = require('liquidjs');
+const { resolveLink, withBasePath, pageDir } = require('./urls');
+const { SHARED_DIR, resolveTemplate } = require('./templates');
+const { renderMarkdown } = require('./markdown');
+const { translate } = require('./locales');
+const { isResizable, responsiveImage } = require('./images');
+const { inlineAsset } = require('./inline');
+const { fileIntegrity, externalIntegrity } = require('./integrity');
 const logger = require('../logger');
 
+// campaign_image widths when the tag gives none
+const DEFAULT_IMAGE_WIDTHS = [480, 960, 1440];
+
 /**
  * Create a configured LiquidJS engine for a project's src directory.
  * Filters access campaign context via `this.get()` (LiquidJS Context).
@@ -26,26 +38,63 @@ function createEngine(srcPath) {
         if (/^https?:\/\//.test(filename)) return filename;
         const campaign = this.context.get(['campaign']);
         if (!campaign) return filename;
-        return `/${campaign.slug}/${filename}`;
+        const name = useAsset(this.context, this.token, srcPath, campaign, filename);
+        if (name !== filename.replace(/^\.?\//, '')) filename = name;
+        // Fingerprinted builds map asset names to their content-hashed copies
+        const { assetMap } = this.context.registers;
+        return assetUrl(this.context.registers, campaign.slug, (assetMap && assetMap[name]) || filename);
     });
 
-    // campaign_link — generates clean URLs for inter-page navigation
-    engine.registerFilter('campaign_link', function (filename) {
+    // campaign_integrity — SRI hash for a script or stylesheet: campaign assets are hashed,
+    // external URLs come from integrity.lock.json (see integrity.js)
+    engine.registerFilter('campaign_integrity', function (filename) {
         if (!filename) return '';
-        if (filename.startsWith('#')) return filename;
-        if (filename.startsWith('/')) return filename;
-        if (/^https?:\/\//.test(filename)) return filename;
+        if (/^https?:\/\//.test(filename)) {
+            const integrity = this.context.registers.integrity || { lock: {}, sources: {} };
+            // Updating the local copy rebuilds the page, which then fails until the lock is refreshed
+            if (integrity.sources[filename]) recordDependency(this.context, integrity.sources[filename]);
+            return externalIntegrity(filename, integrity);
+        }
         const campaign = this.context.get(['campaign']);
-        if (!campaign) return filename;
-        const clean = filename.replace(/\.html$/, '');
-        if (clean === 'index') return `/${campaign.slug}/`;
-        return `/${campaign.slug}/${clean}/`;
+        if (!campaign) return '';
+        const name = useAsset(this.context, this.token, srcPath, campaign, filename);
+        const file = path.join(srcPath, campaign.slug, 'assets', name);
+        if (!fs.existsSync(file)) throw new Error(`campaign_integrity: ${name} not found in ${campaign.slug}/assets/`);
+        return fileIntegrity(file);
+    });
+
+    // campaign_link — generates clean URLs for inter-page navigation,
+    // resolving relative references from the current page's directory
+    engine.registerFilter('campaign_link', function (filename) {
+        const campaign = this.context.get(['campaign']);
+        if (!campaign) return filename || '';
+        const page = this.context.get(['page']);
+        const relFile = page && page.inputPath
+            ? path.relative(srcPath, page.inputPath).split(path.sep).join('/')
+            : '';
+        const fromDir = relFile.startsWith(`${campaign.slug}/`) ? pageDir(relFile) : '';
+        const { i18n, basePath } = this.context.registers;
+        return withBasePath(resolveLink(filename, campaign.slug, fromDir, i18n && i18n.prefix), basePath);
+    });
+
+    // t — translates a key from the page's locale dictionary, filling {name}
+    // placeholders from keyword arguments: {{ 'cart.items' | t: count: 3 }}
+    engine.registerFilter('t', function (key, ...args) {
+        const i18n = this.context.registers.i18n;
+        if (!i18n) return key;
+        const params = Object.fromEntries(args.filter(Array.isArray));
+        const { text, missing } = translate(i18n, key, params);
+        if (missing && this.context.registers.missingTranslations) {
+            this.context.registers.missingTranslations.add(String(key));
+        }
+        return text;
     });
 
     // safe — no-op filter for compatibility with templates that use | safe
     engine.registerFilter('safe', (value) => value);
 
-    // campaign_include — renders a partial from the campaign's _includes directory
+    // campaign_include — renders a partial from the campaign's _includes directory,
+    // falling back to src/_shared/_includes/
     engine.registerTag('campaign_include', {
         parse(tagToken) {
             this.args = tagToken.args;
@@ -58,69 +107,275 @@ function createEngine(srcPath) {
             const match = this.args.match(/^\s*(['"])([^'"]+)\1/);
             if (!match) return;
             const filename = match[2];
-            const fullPath = `${campaign.slug}/_includes/${filename}`;
-
-            const includeCtx = {};
-            const argsRegex = /(\w+)=("[^"]*"|'[^']*'|[^\s]+)/g;
-            let argMatch;
-            while ((argMatch = argsRegex.exec(this.args)) !== null) {
-                const key = argMatch[1];
-                const rawValue = argMatch[2];
-                let val;
-                if (rawValue.startsWith('"') || rawValue.startsWith("'")) {
-                    val = rawValue.slice(1, -1);
-                } else if (rawValue === 'true') {
-                    val = true;
-                } else if (rawValue === 'false') {
-                    val = false;
-                } else {
-                    val = yield engine.evalValue(rawValue, ctx);
-                }
-                includeCtx[key] = val;
+            const include = resolveTemplate(srcPath, campaign.slug, '_includes', filename);
+            for (const candidate of include.candidates) recordDependency(ctx, candidate);
+            if (!include.file) {
+                logger.error(`campaign_include: ${filename} not found in ${campaign.slug}/_includes/ or ${SHARED_DIR}/_includes/`);
+                return;
             }
+            logger.debug(`campaign_include: ${filename} → ${include.file}`);
+
+            const includeCtx = yield* evalTagArgs(engine, this.args, ctx);
 
             try {
-                const templates = yield engine.parseFile(fullPath);
+                const templates = yield engine.parseFile(include.file);
                 ctx.push({ ...includeCtx, include: includeCtx });
                 yield engine.renderer.renderTemplates(templates, ctx, emitter);
             } catch (e) {
-                logger.error(`campaign_include: ${fullPath} — ${e.message}`);
+                logger.error(`campaign_include: ${include.file} — ${e.message}`);
             } finally {
                 ctx.pop();
             }
         }
     });
 
+    // campaign_image — a <picture> with resized AVIF, WebP and original-format copies of a
+    // campaign image: {% campaign_image 'images/hero.jpg' widths="480,960,1440" alt="…" %}
+    engine.registerTag('campaign_image', {
+        parse(tagToken) {
+            this.args = tagToken.args;
+        },
+
+        * render(ctx, emitter) {
+            const campaign = ctx.get(['campaign']);
+            if (!campaign) return;
+
+            const { subject: filename, rest } = yield* evalTagSubject(engine, this.args, ctx);
+            if (!filename) throw new Error('campaign_image needs an image, e.g. {% campaign_image \'images/hero.jpg\' alt="…" %}');
+            const { widths, sizes = '100vw', ...attrs } = yield* evalTagArgs(engine, rest, ctx);
+            if (attrs.alt === undefined) {
+                throw new Error(`campaign_image ${filename}: alt is required (alt="" for decorative images)`);
+            }
+
+            const name = useAsset(ctx, this.token, srcPath, campaign, filename);
+            const images = ctx.registers.images;
+            const source = path.join(srcPath, campaign.slug, 'assets', name);
+            if (!images || !isResizable(name) || !fs.existsSync(source)) {
+                // Used as it is; a missing image is reported by the missing-asset check
+                emitter.write(`<img src="${escapeAttr(assetUrl(ctx.registers, campaign.slug, name))}"${htmlAttrs(attrs)}>`);
+                return;
+            }
+
+            const requested = widths === undefined ? DEFAULT_IMAGE_WIDTHS : String(widths).split(',').map(Number);
+            if (requested.some(w => !Number.isInteger(w) || w <= 0)) {
+                throw new Error(`campaign_image ${filename}: widths must be a comma-separated list of pixel widths, got "${widths}"`);
+            }
+            const image = yield responsiveImage({
+                srcPath, slug: campaign.slug, name, widths: requested, outputPath: images.outputPath, cacheDir: images.cacheDir,
+            });
+            images.outputs.push(...image.outputs);
+
+            const srcset = (list) => list.map(c => `${assetUrl(ctx.registers, campaign.slug, c.name)} ${c.width}w`).join(', ');
+            const own = image.sources[image.sources.length - 1];
+            const largest = own.srcset[own.srcset.length - 1];
+            const sourceTags = image.sources.slice(0, -1)
+                .map(s => `<source type="${s.type}" srcset="${escapeAttr(srcset(s.srcset))}" sizes="${escapeAttr(sizes)}">`);
+            const img = `<img src="${escapeAttr(assetUrl(ctx.registers, campaign.slug, largest.name))}"`
+                + ` srcset="${escapeAttr(srcset(own.srcset))}" sizes="${escapeAttr(sizes)}"`
+                + ` width="${image.width}" height="${image.height}"${htmlAttrs(attrs)}>`;
+            emitter.write(`<picture>${sourceTags.join('')}${img}</picture>`);
+        }
+    });
+
+    // campaign_inline — inlines a campaign asset at build time: CSS into <style>, JS into
+    // <script>, SVG as markup, images as a data: URI. {% campaign_inline 'css/critical.css' %}
+    engine.registerTag('campaign_inline', {
+        parse(tagToken) {
+            this.args = tagToken.args;
+        },
+
+        * render(ctx, emitter) {
+            const campaign = ctx.get(['campaign']);
+            if (!campaign) return;
+
+            const { subject: filename, rest } = yield* evalTagSubject(engine, this.args, ctx);
+            if (!filename) throw new Error('campaign_inline needs a file, e.g. {% campaign_inline \'css/critical.css\' %}');
+            const attrs = yield* evalTagArgs(engine, rest, ctx);
+
+            const name = useAsset(ctx, this.token, srcPath, campaign, filename);
+            const file = path.join(srcPath, campaign.slug, 'assets', name);
+            if (!fs.existsSync(file)) throw new Error(`campaign_inline: ${name} not found in ${campaign.slug}/assets/`);
+            emitter.write(inlineAsset(file, name, {
+                attrs: htmlAttrs(attrs),
+                resolveUrl: (asset) => assetUrl(ctx.registers, campaign.slug, asset),
+            }));
+        }
+    });
+
     return engine;
 }
 
 /**
- * Render a single page: body first, then wrapped in layout.
+ * Evaluate the first argument of a tag — a quoted string or a Liquid
+ * expression — and return it with the arguments that follow.
+ */
+function* evalTagSubject(engine, args, ctx) {
+    const match = args.match(/^\s*("[^"]*"|'[^']*'|[^\s=]+)(?=\s|$)/);
+    if (!match) return { subject: null, rest: args };
+    const subject = /^["']/.test(match[1]) ? match[1].slice(1, -1) : yield engine.evalValue(match[1], ctx);
+    return { subject, rest: args.slice(match[0].length) };
+}
+
+/**
+ * Evaluate a tag's key=value arguments: quoted values are strings, true/false
+ * booleans, anything else a Liquid expression. Yields to LiquidJS for expressions.
+ */
+function* evalTagArgs(engine, args, ctx) {
+    const values = {};
+    const argsRegex = /([\w-]+)=("[^"]*"|'[^']*'|[^\s]+)/g;
+    let argMatch;
+    while ((argMatch = argsRegex.exec(args)) !== null) {
+        const key = argMatch[1];
+        const rawValue = argMatch[2];
+        let val;
+        if (rawValue.startsWith('"') || rawValue.startsWith("'")) {
+            val = rawValue.slice(1, -1);
+        } else if (rawValue === 'true') {
+            val = true;
+        } else if (rawValue === 'false') {
+            val = false;
+        } else {
+            val = yield engine.evalValue(rawValue, ctx);
+        }
+        values[key] = val;
+    }
+    return values;
+}
+
+/**
+ * Resolve a campaign_asset, campaign_image, campaign_inline or campaign_integrity reference to its name in the
+ * campaign's assets/ directory, and record it for the missing-asset check.
+ * Localised pages prefer their locale's copy of an asset (assets/de/…).
+ */
+function useAsset(ctx, token, srcPath, campaign, filename) {
+    let name = filename.replace(/^\.?\//, '');
+    const i18n = ctx.registers.i18n;
+    if (i18n && i18n.prefix && i18n.assets.includes(`${i18n.prefix}/${name}`)) {
+        name = `${i18n.prefix}/${name}`;
+    }
+    recordAssetRef(ctx, token, srcPath, name);
+    // Adding or renaming the asset rebuilds the page, so the missing-asset check reruns
+    recordDependency(ctx, path.join(srcPath, campaign.slug, 'assets', name));
+    return name;
+}
+
+/**
+ * URL of a file in a campaign's output, honouring base_path and asset_base_url.
+ */
+function assetUrl(registers, slug, file) {
+    const url = `/${slug}/${file}`;
+    return registers.assetBaseUrl ? `${registers.assetBaseUrl}${url.slice(1)}` : withBasePath(url, registers.basePath);
+}
+
+function escapeAttr(value) {
+    return String(value).replace(/&/g, '&amp;').replace(/"/g, '&quot;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+/**
+ * Render attributes for an HTML tag: true as a bare attribute, false and null omitted.
+ */
+function htmlAttrs(attrs) {
+    return Object.entries(attrs)
+        .filter(([, value]) => value !== false && value !== null && value !== undefined)
+        .map(([key, value]) => (value === true ? ` ${key}` : ` ${key}="${escapeAttr(value)}"`))
+        .join('');
+}
+
+/**
+ * Record a file read while rendering into the page's dependency set, when the
+ * caller asked for one (see the `dependencies` option of renderPage).
+ */
+function recordDependency(ctx, filePath) {
+    const dependencies = ctx.registers.dependencies;
+    if (dependencies) dependencies.add(filePath);
+}
+
+/**
+ * Record where campaign_asset or campaign_image was asked for an asset, when the caller collects
+ * references (see the `assetRefs` option of renderPage). Includes are parsed from
+ * their files; the body and layouts were split from their frontmatter, so their
+ * lines are offset by where the template starts (the `origin` register).
+ */
+function recordAssetRef(ctx, token, srcPath, name) {
+    const { assetRefs, origin } = ctx.registers;
+    if (!assetRefs) return;
+    const [line] = token.getPosition();
+    if (token.file) {
+        assetRefs.push({ name, file: path.relative(srcPath, token.file).split(path.sep).join('/'), line });
+    } else {
+        assetRefs.push({ name, file: origin ? origin.file : null, line: origin ? origin.line + line - 1 : line });
+    }
+}
+
+/**
+ * Create a render context carrying build state (the page's dependency set, the
+ * asset map) as registers, so tags and filters can use it without exposing it
+ * to templates.
+ */
+function createContext(engine, scope, registers) {
+    const ctx = new Context(scope, engine.options);
+    for (const [key, value] of Object.entries(registers)) {
+        if (value) ctx.setRegister(key, value);
+    }
+    return ctx;
+}
+
+/**
+ * Render a single page: body first, then wrapped in its layouts.
  *
  * @param {Liquid} engine
  * @param {object} opts
  * @param {string} opts.body        - Raw template source (after frontmatter)
  * @param {object} opts.frontmatter - Parsed frontmatter data
- * @param {object} opts.campaign    - Campaign data object
+ * @param {object} opts.campaign    - Campaign data object (with `data` from its _data/ files)
+ * @param {boolean} [opts.markdown] - Convert the rendered body from Markdown to HTML before the layouts
+ * @param {object} [opts.data]      - Global data from the project's _data/ files
+ * @param {string} [opts.env]       - Build environment (e.g. "staging"), or null
+ * @param {string} [opts.variant]   - Split-test variant being rendered, or null for the page itself
+ * @param {*}      [opts.item]      - Collection item the page is rendered for (see collections.js), or null
+ * @param {object} [opts.i18n]      - Translation state for the page's locale (see locales.js pageTranslations)
+ * @param {Set}    [opts.missingTranslations] - Collects translation keys the page's locale does not define
  * @param {object} opts.pageData    - Page metadata ({ url, inputPath })
- * @param {string} opts.layoutPath  - Absolute path to layout file
+ * @param {string} [opts.layoutSrc] - Layout template source (null renders the body alone)
+ * @param {string[]} [opts.layouts] - Layout chain sources, innermost first (takes precedence over layoutSrc)
+ * @param {Set}    [opts.dependencies] - Collects absolute paths of includes read while rendering
+ * @param {object} [opts.assetMap]  - Fingerprinted asset names used by campaign_asset
+ * @param {string} [opts.basePath]  - Sub-path the site is hosted under, added to links and assets (see urls.js)
+ * @param {string} [opts.assetBaseUrl] - Host (or path) assets are served from instead
+ * @param {object[]} [opts.assetRefs] - Collects the assets campaign_asset is asked for ({ name, file, line })
+ * @param {object} [opts.images]    - Where campaign_image writes resized copies: { outputPath, cacheDir,
+ *                                    outputs } (`outputs` collects manifest entries for them);
+ *                                    without it, images are used as they are
+ * @param {object} [opts.integrity] - SRI hashes of external URLs for campaign_integrity: { lock, sources }
+ *                                    (see integrity.js)
+ * @param {object} [opts.origins]   - Where the templates start in their files, for assetRefs:
+ *                                    { body: { file, line }, layouts: [{ file, line }] } (layouts innermost first)
  */
-async function renderPage(engine, { body, frontmatter, campaign, pageData, layoutSrc }) {
+async function renderPage(engine, { body, frontmatter, campaign, pageData, layoutSrc, layouts, markdown, data, env, variant, item, i18n, missingTranslations, dependencies, assetMap, basePath, assetBaseUrl, assetRefs, images, integrity, origins = {} }) {
     const context = {
         ...frontmatter,
         campaign,
         page: pageData,
+        data: data || {},
+        env: env || null,
+        variant: variant || null,
+        item: item === undefined ? null : item,
+        locale: i18n ? i18n.locale : null,
     };
+    const registers = { dependencies, assetMap, i18n, missingTranslations, basePath, assetBaseUrl, assetRefs, images, integrity };
 
     // Pass 1: render page body
-    const renderedBody = await engine.parseAndRender(body, context);
+    let html = await engine.parseAndRender(body, createContext(engine, context, { ...registers, origin: origins.body }));
+    if (markdown) html = renderMarkdown(html);
 
-    // Pass 2: wrap in layout
-    if (layoutSrc) {
-        return engine.parseAndRender(layoutSrc, { ...context, content: renderedBody });
+    // Then wrap in each layout, innermost first
+    const layoutOrigins = origins.layouts || [];
+    for (const [index, src] of (layouts || (layoutSrc ? [layoutSrc] : [])).entries()) {
+        const layoutContext = createContext(engine, { ...context, content: html }, { ...registers, origin: layoutOrigins[index] });
+        html = await engine.parseAndRender(src, layoutContext);
     }
 
-    return renderedBody;
+    return html;
 }
 
 module.exports = { createEngine, renderPage };
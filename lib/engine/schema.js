@@ -0,0 +1,133 @@
+/**
+ * Frontmatter schema validation.
+ *
+ * Pages are checked against the documented frontmatter fields, extended by the
+ * project (campaign.config.json) and by each campaign (campaigns.json):
+ *
+ *   "frontmatter": {
+ *     "hero_image": { "type": "string" },
+ *     "badges": { "type": "array", "items": "string" },
+ *     "page_type": { "type": "string", "enum": ["product", "checkout", "upsell", "receipt", "presale"] }
+ *   }
+ *
+ * A field definition has a `type` (string, number, boolean, array, object, date
+ * or any), and optionally `required`, `enum` and, for arrays, an `items` type.
+ * Definitions replace built-in fields of the same name.
+ */
+
+const PAGE_TYPES = ['product', 'checkout', 'upsell', 'receipt'];
+
+const BUILTIN_FIELDS = {
+    page_layout: { type: 'string' },
+    title: { type: 'string', required: true },
+    page_type: { type: 'string', required: true, enum: PAGE_TYPES },
+    permalink: { type: 'string' },
+    next_success_url: { type: 'string' },
+    next_upsell_accept: { type: 'string' },
+    next_upsell_decline: { type: 'string' },
+    styles: { type: 'array', items: 'string' },
+    scripts: { type: 'array', items: 'string' },
+    footer: { type: 'boolean' },
+    variants: { type: 'object' },
+    collection: { type: 'string' },
+};
+
+const TYPES = ['string', 'number', 'boolean', 'array', 'object', 'date', 'any'];
+
+function typeOf(value) {
+    if (Array.isArray(value)) return 'array';
+    if (value instanceof Date) return 'date';
+    if (value === null) return 'null';
+    return typeof value;
+}
+
+function matchesType(value, type) {
+    return type === 'any' || typeOf(value) === type;
+}
+
+/**
+ * Build the schema for a campaign: built-in fields, then the project's
+ * extensions, then the campaign's. Throws on malformed field definitions.
+ */
+function resolveSchema(settings = {}, campaign = {}) {
+    const schema = { ...BUILTIN_FIELDS };
+    for (const [source, fields] of [['campaign.config.json', settings.frontmatter], [`campaign "${campaign.slug}"`, campaign.frontmatter]]) {
+        for (const [field, definition] of Object.entries(fields || {})) {
+            if (!definition || !TYPES.includes(definition.type)) {
+                throw new Error(`Invalid frontmatter field "${field}" in ${source}: type must be one of ${TYPES.join(', ')}`);
+            }
+            schema[field] = definition;
+        }
+    }
+    return schema;
+}
+
+/**
+ * Levenshtein distance, used to suggest the field a typo was meant to be.
+ */
+function editDistance(a, b) {
+    const row = Array.from({ length: b.length + 1 }, (_, i) => i);
+    for (let i = 1; i <= a.length; i++) {
+        let prev = row[0];
+        row[0] = i;
+        for (let j = 1; j <= b.length; j++) {
+            const current = row[j];
+            row[j] = Math.min(row[j] + 1, row[j - 1] + 1, prev + (a[i - 1] === b[j - 1] ? 0 : 1));
+            prev = current;
+        }
+    }
+    return row[b.length];
+}
+
+function suggestField(field, schema) {
+    let best = null;
+    let bestDistance = Infinity;
+    for (const known of Object.keys(schema)) {
+        const distance = editDistance(field, known);
+        if (distance < bestDistance) {
+            best = known;
+            bestDistance = distance;
+        }
+    }
+    return bestDistance <= Math.max(2, Math.floor(field.length / 4)) ? best : null;
+}
+
+/**
+ * Check frontmatter against a schema.
+ *
+ * @returns {{ field: string, message: string }[]}
+ */
+function validateFrontmatter(frontmatter, schema) {
+    const issues = [];
+
+    for (const [field, definition] of Object.entries(schema)) {
+        if (definition.required && (frontmatter[field] === undefined || frontmatter[field] === null)) {
+            issues.push({ field, message: `missing required field "${field}"` });
+        }
+    }
+
+    for (const [field, value] of Object.entries(frontmatter)) {
+        const definition = schema[field];
+        if (!definition) {
+            const suggestion = suggestField(field, schema);
+            issues.push({
+                field,
+                message: `unknown field "${field}"${suggestion ? ` (did you mean "${suggestion}"?)` : ''}`,
+            });
+            continue;
+        }
+        if (value === undefined || value === null) continue;
+
+        if (!matchesType(value, definition.type)) {
+            issues.push({ field, message: `field "${field}" must be ${definition.type === 'array' ? 'an' : 'a'} ${definition.type}, got ${typeOf(value)}` });
+        } else if (definition.enum && !definition.enum.includes(value)) {
+            issues.push({ field, message: `field "${field}" must be one of ${definition.enum.join(', ')}, got "${value}"` });
+        } else if (definition.type === 'array' && definition.items && !value.every(item => matchesType(item, definition.items))) {
+            issues.push({ field, message: `field "${field}" must only contain ${definition.items} values` });
+        }
+    }
+
+    return issues;
+}
+
+module.exports = { PAGE_TYPES, BUILTIN_FIELDS, resolveSchema, validateFrontmatter };
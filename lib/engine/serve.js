@@ -46,15 +46,19 @@ const LIVERELOAD_SCRIPT = `<script>
  * @param {object}   opts
  * @param {string}   opts.outputPath  - Directory to serve (_site/)
  * @param {string}   opts.srcPath     - Directory to watch for changes (src/)
+ * @param {string[]} [opts.watchPaths] - Other files or directories to watch (e.g. _data/)
+ * @param {string[]} [opts.basePaths] - Sub-paths the site is hosted under (base_path), served from _site/ too
  * @param {number}   [opts.port=3000] - HTTP port
  * @param {Function} opts.onRebuild   - Async function called on file change; receives changed path
  * @returns {{ server, watcher, reload }}
  */
-function serve({ outputPath, srcPath, port = 3000, onRebuild }) {
+function serve({ outputPath, srcPath, watchPaths = [], basePaths = [], port = 3000, onRebuild }) {
     const sseClients = new Set();
+    // Longest first, so /offers/eu/ wins over /offers/
+    const mounts = basePaths.filter(base => base !== '/').sort((a, b) => b.length - a.length);
 
     const server = http.createServer((req, res) => {
-        const urlPath = req.url.split('?')[0];
+        let urlPath = req.url.split('?')[0];
 
         // SSE live reload endpoint
         if (urlPath === '/_lr') {
@@ -69,6 +73,10 @@ function serve({ outputPath, srcPath, port = 3000, onRebuild }) {
             return;
         }
 
+        // Pages link to /offers/starter/… under a base path; the files are in _site/starter/
+        const mount = mounts.find(base => urlPath.startsWith(base));
+        if (mount) urlPath = `/${urlPath.slice(mount.length)}`;
+
         // Resolve file path
         let filePath = path.join(outputPath, urlPath);
 
@@ -130,7 +138,7 @@ function serve({ outputPath, srcPath, port = 3000, onRebuild }) {
         }
     }
 
-    const watcher = chokidar.watch(srcPath, {
+    const watcher = chokidar.watch([srcPath, ...watchPaths], {
         ignoreInitial: true,
         ignored: /(^|[/\\])\../,
     });
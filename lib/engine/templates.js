@@ -0,0 +1,85 @@
+/**
+ * Layout and include lookup.
+ *
+ * Campaigns can share layouts and includes through src/_shared/_layouts/ and
+ * src/_shared/_includes/. A campaign's own file always wins; the shared
+ * directory is only used when the campaign has no file of that name.
+ *
+ * Layouts can declare their own `page_layout` in frontmatter to be wrapped in
+ * another layout (checkout.html → base.html), forming a chain.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const matter = require('gray-matter');
+const { contentLine } = require('./references');
+
+const SHARED_DIR = '_shared';
+
+/**
+ * Resolve a layout or include for a campaign.
+ *
+ * `candidates` lists the paths looked at up to the resolved one, whether they
+ * exist or not. Pages depend on all of them, so adding a campaign override (or
+ * deleting it) triggers a rebuild just like editing the resolved file.
+ *
+ * @param {string} srcPath
+ * @param {string} slug
+ * @param {'_layouts'|'_includes'} kind
+ * @param {string} filename
+ * @returns {{ file: string|null, fullPath: string|null, candidates: string[] }}
+ *   `file` is the resolved path relative to srcPath (e.g. "_shared/_includes/footer.html"), null if none exists
+ */
+function resolveTemplate(srcPath, slug, kind, filename) {
+    const candidates = [];
+    for (const dir of [slug, SHARED_DIR]) {
+        const fullPath = path.join(srcPath, dir, kind, filename);
+        candidates.push(fullPath);
+        if (fs.existsSync(fullPath)) {
+            return { file: `${dir}/${kind}/${filename}`, fullPath, candidates };
+        }
+    }
+    return { file: null, fullPath: null, candidates };
+}
+
+/**
+ * Resolve the chain of layouts a page is wrapped in, innermost first.
+ *
+ * The page's own layout may be missing (the body is then rendered alone), but a
+ * layout named by another layout must exist. Cycles are reported as errors.
+ * Problems are returned rather than thrown so the caller still gets the
+ * candidates to depend on — fixing the chain has to trigger a rebuild.
+ *
+ * @returns {{ layouts: { file, src, line, frontmatter }[], candidates: string[], error?: string }}
+ *   `line` is where the layout's template starts in its file, after its frontmatter
+ */
+function resolveLayoutChain(srcPath, slug, layoutFile) {
+    const layouts = [];
+    const candidates = [];
+    const seen = [];
+
+    let name = layoutFile;
+    while (name) {
+        const layout = resolveTemplate(srcPath, slug, '_layouts', name);
+        candidates.push(...layout.candidates);
+
+        if (!layout.file) {
+            if (layouts.length === 0) break;
+            const parent = layouts[layouts.length - 1].file;
+            return { layouts, candidates, error: `Layout "${name}" (page_layout of ${parent}) not found` };
+        }
+        if (seen.includes(layout.file)) {
+            return { layouts, candidates, error: `Layout cycle: ${[...seen, layout.file].join(' → ')}` };
+        }
+        seen.push(layout.file);
+
+        const raw = fs.readFileSync(layout.fullPath, 'utf8');
+        const { data, content } = matter(raw);
+        layouts.push({ file: layout.file, src: content, line: contentLine(raw, content), frontmatter: data });
+        name = data.page_layout;
+    }
+
+    return { layouts, candidates };
+}
+
+module.exports = { SHARED_DIR, resolveTemplate, resolveLayoutChain };
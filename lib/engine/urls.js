@@ -0,0 +1,153 @@
+/**
+ * Campaign URL helpers shared by the template filters and the build.
+ *
+ * Page URLs are planned relative to the site root (/starter/checkout/). Sites
+ * hosted under a sub-path set `base_path` (brand.com/offers/ → "/offers/"),
+ * which is added to every URL a page is given or links to, and can serve
+ * assets from another host with `asset_base_url`. Both are read from the
+ * campaign's entry in campaigns.json, falling back to campaign.config.json.
+ */
+
+const path = require('path');
+
+// Source files that are pages: HTML templates and Markdown content
+const PAGE_EXTENSIONS = ['.html', '.md'];
+const PAGE_EXTENSION_RE = /\.(html|md)$/;
+
+/**
+ * Strip a page extension: 'offers/terms.md' → 'offers/terms'.
+ */
+function stripPageExtension(file) {
+    return file.replace(PAGE_EXTENSION_RE, '');
+}
+
+/**
+ * Whether a source path (relative to src/) is a page rather than a layout,
+ * include, data file or asset.
+ */
+function isPageFile(relFile) {
+    const parts = relFile.split('/');
+    return PAGE_EXTENSIONS.includes(path.posix.extname(relFile))
+        && !parts.some(part => ['_layouts', '_includes', '_data', 'assets'].includes(part));
+}
+
+/**
+ * Normalise a permalink to a site-root URL: '/a/../b' → '/b/'.
+ * Throws when it climbs above the site root, which would write outside the
+ * output directory — an error whatever the validation level.
+ */
+function permalinkUrl(permalink) {
+    const normalized = path.posix.normalize(String(permalink).trim().replace(/^\/+/, '') || '.');
+    if (normalized === '..' || normalized.startsWith('../')) {
+        throw new Error(`permalink ${permalink} leaves the output directory`);
+    }
+    const segments = normalized.split('/').filter(segment => segment && segment !== '.');
+    return segments.length > 0 ? `/${segments.join('/')}/` : '/';
+}
+
+/**
+ * Insert a locale into a campaign URL: ('/starter/checkout/', 'starter', 'de') → '/starter/de/checkout/'.
+ * URLs outside the campaign (foreign permalinks) get the locale as their first segment.
+ */
+function localizeUrl(url, slug, locale) {
+    if (!locale) return url;
+    const scope = `/${slug}/`;
+    return url.startsWith(scope) ? `${scope}${locale}/${url.slice(scope.length)}` : `/${locale}${url}`;
+}
+
+/**
+ * Resolve a page reference to a clean campaign URL, the way campaign_link does.
+ *
+ * Relative references resolve from the directory of the page that contains them,
+ * and stay in its locale:
+ *
+ * resolveLink('checkout.html', 'starter')             → '/starter/checkout/'
+ * resolveLink('index.html', 'starter')                → '/starter/'
+ * resolveLink('b.html', 'starter', 'offers')          → '/starter/offers/b/'
+ * resolveLink('../checkout.html', 'starter', 'offers') → '/starter/checkout/'
+ * resolveLink('terms.md', 'starter')                  → '/starter/terms/'
+ * resolveLink('checkout.html', 'starter', '', 'de')   → '/starter/de/checkout/'
+ *
+ * Anchors, absolute paths and absolute URLs are returned unchanged.
+ *
+ * @param {string} filename - Page reference (e.g. 'checkout.html')
+ * @param {string} slug     - Campaign slug
+ * @param {string} [fromDir=''] - Directory of the referencing page, relative to the campaign
+ * @param {string} [locale]      - Locale of the referencing page, when not the campaign's default
+ */
+function resolveLink(filename, slug, fromDir = '', locale = null) {
+    if (!filename) return '';
+    if (filename.startsWith('#')) return filename;
+    if (filename.startsWith('/')) return filename;
+    if (/^https?:\/\//.test(filename)) return filename;
+
+    const clean = stripPageExtension(filename);
+    const resolved = path.posix.join('/', slug, fromDir, clean);
+    const dir = path.posix.basename(resolved) === 'index' ? path.posix.dirname(resolved) : resolved;
+    return localizeUrl(dir === '/' ? '/' : `${dir}/`, slug, locale);
+}
+
+/**
+ * Normalise a base path to a leading and trailing slash: offers → /offers/.
+ * Absolute URLs (https://cdn.example.com/offers) only get the trailing slash.
+ */
+function normalizeBasePath(basePath) {
+    if (/^https?:\/\//.test(basePath)) return basePath.replace(/\/*$/, '/');
+    const segments = basePath.split('/').filter(Boolean);
+    return segments.length > 0 ? `/${segments.join('/')}/` : '/';
+}
+
+/**
+ * Resolve a campaign's base path and asset base URL, normalised, or null when unset.
+ * Throws when base_path is not a path or either is not a string.
+ *
+ * @param {object} settings - Project settings (campaign.config.json)
+ * @param {object} campaign - The campaign's entry in campaigns.json
+ * @returns {{ basePath: string|null, assetBaseUrl: string|null }}
+ */
+function resolveBaseUrls(settings, campaign) {
+    const basePath = campaign.base_path !== undefined ? campaign.base_path : settings.base_path;
+    const assetBaseUrl = campaign.asset_base_url !== undefined ? campaign.asset_base_url : settings.asset_base_url;
+    for (const [field, value] of [['base_path', basePath], ['asset_base_url', assetBaseUrl]]) {
+        if (value !== undefined && value !== null && typeof value !== 'string') {
+            throw new Error(`${field} must be a string, got ${JSON.stringify(value)}`);
+        }
+    }
+    if (basePath && /^[a-z]+:\/\//i.test(basePath)) {
+        throw new Error(`base_path must be a path like "/offers/", got "${basePath}" (use asset_base_url for other hosts)`);
+    }
+    return {
+        basePath: basePath ? normalizeBasePath(basePath) : null,
+        assetBaseUrl: assetBaseUrl ? normalizeBasePath(assetBaseUrl) : null,
+    };
+}
+
+/**
+ * Prefix a root-relative URL with a base path: ('/starter/', '/offers/') → '/offers/starter/'.
+ * Anchors, absolute URLs and protocol-relative URLs are returned unchanged.
+ */
+function withBasePath(url, basePath) {
+    if (!basePath || basePath === '/' || !url.startsWith('/') || url.startsWith('//')) return url;
+    return `${basePath}${url.slice(1)}`;
+}
+
+/**
+ * Directory of a source page relative to its campaign directory, using forward
+ * slashes: 'starter/offers/a.html' → 'offers', 'starter/index.html' → ''.
+ */
+function pageDir(relFile) {
+    return relFile.split('/').slice(1, -1).join('/');
+}
+
+module.exports = {
+    PAGE_EXTENSIONS,
+    stripPageExtension,
+    isPageFile,
+    permalinkUrl,
+    localizeUrl,
+    resolveLink,
+    normalizeBasePath,
+    resolveBaseUrls,
+    withBasePath,
+    pageDir,
+};
@@ -0,0 +1,133 @@
+/**
+ * Build validation.
+ *
+ * Checks run on the planned pages before anything is rendered. Each check
+ * returns issues ({ file, message }) and has a level set in campaign.config.json:
+ *
+ *   { "validation": { "permalinks": "warn", "funnel": "error", "frontmatter": "error" } }
+ *
+ * "error" fails the affected pages, "warn" only reports them, "off" skips the check.
+ * Funnel links that go nowhere are "funnel"; dead ends, loops and unreachable
+ * pages are "funnel_flow", which is off whenever "funnel" is.
+ * Missing translations ("translations") and missing assets ("assets") are found
+ * while rendering, so build() applies those levels itself.
+ */
+
+const path = require('path');
+const { validateFunnel } = require('./funnel');
+const { resolveSchema, validateFrontmatter } = require('./schema');
+const { pageLabel } = require('./variants');
+
+const LEVELS = ['error', 'warn', 'off'];
+
+/**
+ * Resolve the level of a check from project settings.
+ * Throws on values other than error / warn / off.
+ */
+function validationLevel(settings, check, fallback) {
+    const level = (settings.validation && settings.validation[check]) || fallback;
+    if (!LEVELS.includes(level)) {
+        throw new Error(`Invalid validation level for "${check}": "${level}" (expected ${LEVELS.join(', ')})`);
+    }
+    return level;
+}
+
+/**
+ * Find pages that would write the same output file, within or across campaigns.
+ * Every page involved gets an issue naming the others.
+ */
+function findOutputCollisions(pages, outputPath) {
+    const byOutput = new Map();
+    for (const page of pages) {
+        const sources = byOutput.get(page.outputFile) || [];
+        sources.push(pageLabel(page));
+        byOutput.set(page.outputFile, sources);
+    }
+
+    const issues = [];
+    for (const [outputFile, sources] of byOutput) {
+        if (sources.length < 2) continue;
+        const relOut = path.relative(outputPath, outputFile).split(path.sep).join('/');
+        for (const source of sources) {
+            const others = sources.filter(s => s !== source).join(', ');
+            issues.push({ file: source, message: `output ${relOut} is also produced by ${others}` });
+        }
+    }
+    return issues;
+}
+
+/**
+ * Find pages whose permalink leaves their campaign's URL space (/[slug]/…),
+ * e.g. a cloned page still pointing at the original campaign. Judged by the
+ * output file, so it holds for whatever the permalink was written as.
+ */
+function findForeignPermalinks(pages, outputPath) {
+    const issues = [];
+    for (const page of pages) {
+        if (!page.frontmatter.permalink) continue;
+        const scope = `/${page.campaign.slug}/`;
+        if (!page.outputFile.startsWith(path.join(outputPath, page.campaign.slug) + path.sep)) {
+            issues.push({
+                file: pageLabel(page),
+                message: `permalink ${page.url} is outside the campaign's URL space ${scope}`,
+            });
+        }
+    }
+    return issues;
+}
+
+/**
+ * Check each page's frontmatter against its campaign's schema.
+ */
+function findFrontmatterIssues(pages, settings) {
+    const schemas = new Map();
+    const issues = [];
+    for (const page of pages) {
+        const slug = page.campaign.slug;
+        if (!schemas.has(slug)) schemas.set(slug, resolveSchema(settings, page.campaign));
+        for (const { message } of validateFrontmatter(page.frontmatter, schemas.get(slug))) {
+            issues.push({ file: pageLabel(page), message: `frontmatter: ${message}` });
+        }
+    }
+    return issues;
+}
+
+/**
+ * Run the checks configured for a project.
+ *
+ * @param {object[]} pages
+ * @param {object}   opts
+ * @param {string}   opts.outputPath
+ * @param {object}   [opts.settings] - Project settings (campaign.config.json)
+ * @param {boolean}  [opts.complete] - Pages are every page of their campaigns (not a partial rebuild);
+ *                                     checks that need the whole campaign only run then
+ * @returns {{ file: string, message: string, level: 'error'|'warn' }[]}
+ */
+function validatePages(pages, { outputPath, settings = {}, complete = false }) {
+    const issues = [];
+    const add = (level, found) => {
+        if (level === 'off') return;
+        for (const issue of found) issues.push({ ...issue, level });
+    };
+
+    const permalinks = validationLevel(settings, 'permalinks', 'error');
+    if (permalinks !== 'off') {
+        add(permalinks, [...findOutputCollisions(pages, outputPath), ...findForeignPermalinks(pages, outputPath)]);
+    }
+
+    const frontmatter = validationLevel(settings, 'frontmatter', 'warn');
+    if (frontmatter !== 'off') add(frontmatter, findFrontmatterIssues(pages, settings));
+
+    const funnel = validationLevel(settings, 'funnel', 'error');
+    const funnelFlow = funnel === 'off' ? 'off' : validationLevel(settings, 'funnel_flow', 'warn');
+    if (funnel !== 'off' && complete) {
+        const found = validateFunnel(pages);
+        const strip = ({ file, message }) => ({ file, message });
+        add(funnel, found.filter(issue => !issue.flow).map(strip));
+        add(funnelFlow, found.filter(issue => issue.flow).map(strip));
+    }
+
+    return issues;
+}
+
+module.exports = { validationLevel, findOutputCollisions, findForeignPermalinks, findFrontmatterIssues, validatePages };
@@ -0,0 +1,75 @@
+/**
+ * Page variants for split tests.
+ *
+ * A page can declare variants in frontmatter, each overriding some of its values:
+ *
+ *   variants:
+ *     b:
+ *       headline: Limited stock — order today
+ *     c:
+ *       headline: Save 50% this week
+ *       hero_image: images/hero-c.jpg
+ *
+ * Each variant is rendered from the same template to its own URL below the
+ * page's (/starter/presale/b/), with its overrides merged over the page's
+ * frontmatter. Templates see the variant name as `variant` (null on the page itself).
+ */
+
+const path = require('path');
+
+const VARIANT_NAME = /^[a-z0-9][a-z0-9-]*$/i;
+
+// Fields that decide where a page is written or what it expands to
+const FIXED_FIELDS = ['permalink', 'variants'];
+
+function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Name a planned page in messages: its source file, plus its collection item,
+ * locale and variant if any — 'starter/product.html (campaign.products[0], de, variant b)'.
+ */
+function pageLabel(page) {
+    const tags = [page.itemLabel, page.locale, page.variant && `variant ${page.variant}`].filter(Boolean);
+    return tags.length > 0 ? `${page.relFile} (${tags.join(', ')})` : page.relFile;
+}
+
+/**
+ * Expand a planned page into itself followed by one page per variant.
+ * Throws on malformed variants blocks.
+ *
+ * @param {object} page - Planned page ({ relFile, frontmatter, url, outputFile, ... })
+ * @returns {object[]}
+ */
+function expandVariants(page) {
+    const { variants, ...frontmatter } = page.frontmatter;
+    if (variants === undefined || variants === null) return [page];
+    if (!isPlainObject(variants)) {
+        throw new Error('variants must map variant names to their frontmatter overrides');
+    }
+
+    const expanded = [page];
+    for (const [name, overrides] of Object.entries(variants)) {
+        if (!VARIANT_NAME.test(name)) {
+            throw new Error(`Invalid variant name "${name}": use letters, numbers and dashes`);
+        }
+        if (overrides !== null && !isPlainObject(overrides)) {
+            throw new Error(`Variant "${name}" must be a map of frontmatter overrides`);
+        }
+        for (const field of FIXED_FIELDS) {
+            if (overrides && field in overrides) throw new Error(`Variant "${name}" cannot override ${field}`);
+        }
+
+        expanded.push({
+            ...page,
+            frontmatter: { ...frontmatter, ...overrides },
+            variant: name,
+            url: `${page.url}${name}/`,
+            outputFile: path.join(path.dirname(page.outputFile), name, 'index.html'),
+        });
+    }
+    return expanded;
+}
+
+module.exports = { pageLabel, expandVariants };
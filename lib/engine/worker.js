@@ -0,0 +1,21 @@
+/**
+ * Build worker.
+ *
+ * Renders pages planned by build() when it runs with a concurrency above 1.
+ * Each worker keeps its own LiquidJS engine for the project's src directory,
+ * and logs to stderr when the main thread does.
+ */
+
+const { parentPort, workerData } = require('worker_threads');
+const { createEngine } = require('./render');
+const { renderPlannedPage } = require('./build');
+const logger = require('../logger');
+
+if (workerData.stderr) logger.useStderr();
+
+const engine = createEngine(workerData.srcPath);
+
+parentPort.on('message', async ({ id, task }) => {
+    const result = await renderPlannedPage(engine, task, workerData.srcPath);
+    parentPort.postMessage({ id, result });
+});
@@ -1,8 +1,21 @@
 const TAG = '\x1b[36m[NEXT]\x1b[0m';
 
-const info  = (msg) => console.log(`${TAG} \x1b[36mINFO\x1b[0m  ${msg}`);
+// info and debug go to stdout unless a command needs stdout for its own output
+let out = (line) => console.log(line);
+let stderr = false;
+
+const info  = (msg) => out(`${TAG} \x1b[36mINFO\x1b[0m  ${msg}`);
 const warn  = (msg) => console.warn(`${TAG} \x1b[33mWARN\x1b[0m  ${msg}`);
 const error = (msg) => console.error(`${TAG} \x1b[31mERROR\x1b[0m ${msg}`);
-const debug = (msg) => console.log(`${TAG} \x1b[90mDEBUG\x1b[0m ${msg}`);
+const debug = (msg) => out(`${TAG} \x1b[90mDEBUG\x1b[0m ${msg}`);
+
+/** Send info and debug lines to stderr, e.g. when stdout carries a JSON report. */
+const useStderr = () => {
+    out = (line) => console.error(line);
+    stderr = true;
+};
+
+/** Whether info and debug lines go to stderr, for worker threads to log the same way. */
+const usesStderr = () => stderr;
 
-module.exports = { info, warn, error, debug };
+module.exports = { info, warn, error, debug, useStderr, usesStderr };
@@ -0,0 +1,98 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const os = require('os');
+const fs = require('fs');
+const path = require('path');
+const { spawnSync } = require('child_process');
+
+const { parseBuildArgs, buildReport } = require('../lib/actions/build');
+
+// ---------------------------------------------------------------------------
+// parseBuildArgs — pure unit tests
+// ---------------------------------------------------------------------------
+
+test('parseBuildArgs: defaults build everything sequentially', () => {
+    const args = parseBuildArgs([]);
+    assert.deepEqual(args.campaigns, []);
+    assert.equal(args.concurrency, 1);
+    assert.equal(args.srcPath, undefined);
+    assert.equal(args.clean, false);
+    assert.equal(args.json, false);
+});
+
+test('parseBuildArgs: --campaign accepts comma lists and repeats', () => {
+    const args = parseBuildArgs(['--campaign', 'a, b', '--campaign=olympus-*']);
+    assert.deepEqual(args.campaigns, ['a', 'b', 'olympus-*']);
+});
+
+test('parseBuildArgs: reads path options', () => {
+    const args = parseBuildArgs(['--src', 'pages', '--output', 'dist', '--campaigns', 'data/c.json', '--data', 'data']);
+    assert.equal(args.srcPath, 'pages');
+    assert.equal(args.outputPath, 'dist');
+    assert.equal(args.campaignsPath, 'data/c.json');
+    assert.equal(args.dataPath, 'data');
+});
+
+test('parseBuildArgs: reads the build environment', () => {
+    assert.equal(parseBuildArgs(['--env', 'staging']).env, 'staging');
+    assert.equal(parseBuildArgs([]).env, undefined);
+});
+
+test('parseBuildArgs: --dry-run implies --clean', () => {
+    const args = parseBuildArgs(['--dry-run']);
+    assert.equal(args.clean, true);
+    assert.equal(args.dryRun, true);
+});
+
+test('parseBuildArgs: rejects invalid concurrency and unknown options', () => {
+    assert.throws(() => parseBuildArgs(['--concurrency', 'many']), /positive number/);
+    assert.throws(() => parseBuildArgs(['--concurrency', '0']), /positive number/);
+    assert.throws(() => parseBuildArgs(['--nope']), /Unknown option/);
+});
+
+// ---------------------------------------------------------------------------
+// buildReport — pure unit tests
+// ---------------------------------------------------------------------------
+
+test('buildReport: lists per-page errors with file, message and duration', () => {
+    const pages = [
+        { file: 'a/index.html', url: '/a/', output: 'a/index.html', ms: 4, error: null },
+        { file: 'a/checkout.html', url: '/a/checkout/', output: 'a/checkout/index.html', ms: 7, error: 'boom' },
+    ];
+    const report = buildReport({ built: 1, errors: 1, ms: 20, pages }, ['a']);
+    assert.equal(report.success, false);
+    assert.deepEqual(report.campaigns, ['a']);
+    assert.deepEqual(report.errors, [{ file: 'a/checkout.html', message: 'boom', ms: 7 }]);
+    assert.equal(report.pages, pages);
+    assert.deepEqual(report.pruned, []);
+});
+
+// ---------------------------------------------------------------------------
+// campaign-build — command line
+// ---------------------------------------------------------------------------
+
+test('campaign-build: --json keeps worker logs off stdout', () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'next-campaign-test-'));
+    try {
+        const write = (relPath, content) => {
+            fs.mkdirSync(path.dirname(path.join(dir, relPath)), { recursive: true });
+            fs.writeFileSync(path.join(dir, relPath), content, 'utf8');
+        };
+        write('_data/campaigns.json', JSON.stringify({ starter: { name: 'Starter' } }));
+        write('src/starter/_layouts/base.html', '<html><body>{{ content }}</body></html>');
+        write('src/starter/_includes/title.html', '<h1>{{ title }}</h1>');
+        for (const name of ['index', 'checkout', 'receipt']) {
+            write(`src/starter/${name}.html`, `---\ntitle: ${name}\n---\n{% campaign_include 'title.html' %}`);
+        }
+
+        const run = spawnSync(process.execPath, [path.join(__dirname, '..', 'lib', 'actions', 'build.js'), '--json', '--concurrency', '2'], {
+            cwd: dir, encoding: 'utf8', timeout: 60000,
+        });
+
+        const report = JSON.parse(run.stdout);
+        assert.equal(report.built, 3);
+        assert.match(run.stderr, /campaign_include: title\.html/);
+    } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+});
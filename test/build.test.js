@@ -7,6 +7,11 @@ const path = require('path');
 const { resolveOutput } = require('../lib/engine/build');
 const { createEngine, renderPage } = require('../lib/engine/render');
 const { build } = require('../lib/engine/build');
+const { createDependencyGraph } = require('../lib/engine/deps');
+const { removeStaleOutput } = require('../lib/engine/clean');
+const { isPageFile } = require('../lib/engine/urls');
+const { hashContent } = require('../lib/engine/assets');
+const { integrityOf } = require('../lib/engine/integrity');
 
 // ---------------------------------------------------------------------------
 // Helpers
@@ -418,6 +423,27 @@ test('build: copies assets directory to output', async () => {
     });
 });
 
+test('build: pages under assets are copied, not rendered', async () => {
+    await withTmpDir(async (dir) => {
+        const srcPath = path.join(dir, 'src');
+        const outputPath = path.join(dir, '_site');
+
+        writeFixture(srcPath, 'test-campaign/index.html', '---\n---\n<p>hi</p>');
+        writeFixture(srcPath, 'test-campaign/assets/vendor/slider/README.md', '# Slider\n\n{{ not liquid }}');
+        writeFixture(srcPath, 'test-campaign/assets/demo.html', '<p>{{ demo }}</p>');
+
+        const { built, errors } = await build({ srcPath, outputPath, campaigns: { 'test-campaign': { name: 'Test Campaign' } } });
+
+        assert.equal(built, 1);
+        assert.equal(errors, 0);
+        assert.equal(fs.readFileSync(path.join(outputPath, 'test-campaign', 'vendor', 'slider', 'README.md'), 'utf8'), '# Slider\n\n{{ not liquid }}');
+        assert.equal(fs.readFileSync(path.join(outputPath, 'test-campaign', 'demo.html'), 'utf8'), '<p>{{ demo }}</p>');
+        assert.ok(!fs.existsSync(path.join(outputPath, 'test-campaign', 'assets')));
+        assert.ok(!isPageFile('test-campaign/assets/vendor/slider/README.md'));
+        assert.ok(isPageFile('test-campaign/offers/index.md'));
+    });
+});
+
 test('build: counts render errors for invalid templates', async () => {
     await withTmpDir(async (dir) => {
         const srcPath = path.join(dir, 'src');
@@ -475,3 +501,1590 @@ test('build: renders page without layout when none exists', async () => {
         assert.equal(html, '<p>no layout</p>');
     });
 });
+
+// ---------------------------------------------------------------------------
+// build() — dependency graph
+// ---------------------------------------------------------------------------
+
+test('build: records layout, nested includes and campaigns.json in the graph', async () => {
+    await withTmpDir(async (dir) => {
+        const srcPath = path.join(dir, 'src');
+        const outputPath = path.join(dir, '_site');
+        const campaignsPath = path.join(dir, '_data', 'campaigns.json');
+
+        writeFixture(srcPath, 'test-campaign/_layouts/base.html', BASE_LAYOUT);
+        writeFixture(srcPath, 'test-campaign/_includes/outer.html', "{% campaign_include 'inner.html' %}");
+        writeFixture(srcPath, 'test-campaign/_includes/inner.html', '<p>inner</p>');
+        writeFixture(srcPath, 'test-campaign/index.html', "---\n---\n{% campaign_include 'outer.html' %}");
+        writeFixture(srcPath, 'test-campaign/other.html', '---\n---\n<p>other</p>');
+
+        const graph = createDependencyGraph();
+        await build({
+            srcPath, outputPath, campaignsPath, graph,
+            campaigns: { 'test-campaign': { name: 'Test Campaign' } },
+        });
+
+        assert.deepEqual(graph.dependenciesOf('test-campaign/index.html').sort(), [
+            campaignsPath,
+            path.join(srcPath, 'test-campaign/_includes/inner.html'),
+            path.join(srcPath, 'test-campaign/_includes/outer.html'),
+            path.join(srcPath, 'test-campaign/_layouts/base.html'),
+        ].sort());
+        assert.deepEqual(graph.dependentsOf(path.join(srcPath, 'test-campaign/_includes/inner.html')),
+            ['test-campaign/index.html']);
+        assert.deepEqual(graph.dependentsOf(path.join(srcPath, 'test-campaign/_layouts/base.html')).sort(),
+            ['test-campaign/index.html', 'test-campaign/other.html']);
+    });
+});
+
+test('build: records missing layouts so creating them triggers a rebuild', async () => {
+    await withTmpDir(async (dir) => {
+        const srcPath = path.join(dir, 'src');
+        const outputPath = path.join(dir, '_site');
+
+        writeFixture(srcPath, 'test-campaign/index.html', '---\npage_layout: custom.html\n---\n<p>hi</p>');
+
+        const graph = createDependencyGraph();
+        await build({ srcPath, outputPath, graph, campaigns: { 'test-campaign': { name: 'Test Campaign' } } });
+
+        assert.deepEqual(graph.dependentsOf(path.join(srcPath, 'test-campaign/_layouts/custom.html')),
+            ['test-campaign/index.html']);
+    });
+});
+
+// ---------------------------------------------------------------------------
+// build() — concurrent rendering on worker threads
+// ---------------------------------------------------------------------------
+
+test('build: concurrency renders every page on workers with the same output', async () => {
+    await withTmpDir(async (dir) => {
+        const srcPath = path.join(dir, 'src');
+        const outputPath = path.join(dir, '_site');
+
+        writeFixture(srcPath, 'test-campaign/_layouts/base.html', BASE_LAYOUT);
+        writeFixture(srcPath, 'test-campaign/_includes/title.html', '<h1>{{ title }}</h1>');
+        writeFixture(srcPath, 'test-campaign/assets/style.css', 'body { margin: 0; }');
+        for (const name of ['index', 'presale', 'checkout', 'upsell', 'receipt']) {
+            writeFixture(srcPath, `test-campaign/${name}.html`,
+                `---\ntitle: ${name}\n---\n{% campaign_include 'title.html' %}`);
+        }
+
+        const graph = createDependencyGraph();
+        const { built, errors } = await build({
+            srcPath, outputPath, graph, concurrency: 3,
+            campaigns: { 'test-campaign': { name: 'Test Campaign' } },
+        });
+
+        assert.equal(built, 5);
+        assert.equal(errors, 0);
+        const html = fs.readFileSync(path.join(outputPath, 'test-campaign', 'checkout', 'index.html'), 'utf8');
+        assert.equal(html, '<html><body><h1>checkout</h1></body></html>');
+        assert.ok(fs.existsSync(path.join(outputPath, 'test-campaign', 'style.css')));
+        assert.equal(graph.dependentsOf(path.join(srcPath, 'test-campaign/_includes/title.html')).length, 5);
+    });
+});
+
+test('build: concurrency counts render errors like a sequential build', async () => {
+    await withTmpDir(async (dir) => {
+        const srcPath = path.join(dir, 'src');
+        const outputPath = path.join(dir, '_site');
+
+        writeFixture(srcPath, 'test-campaign/index.html', '---\n---\n<p>ok</p>');
+        writeFixture(srcPath, 'test-campaign/broken.html', '---\n---\n{% unknowntag %}');
+
+        const { built, errors } = await build({
+            srcPath, outputPath, concurrency: 2,
+            campaigns: { 'test-campaign': { name: 'Test Campaign' } },
+        });
+
+        assert.equal(built, 1);
+        assert.equal(errors, 1);
+    });
+});
+
+// ---------------------------------------------------------------------------
+// build() — manifest
+// ---------------------------------------------------------------------------
+
+test('build: writes a manifest of pages and assets per campaign', async () => {
+    await withTmpDir(async (dir) => {
+        const srcPath = path.join(dir, 'src');
+        const outputPath = path.join(dir, '_site');
+
+        writeFixture(srcPath, 'test-campaign/_layouts/base.html', BASE_LAYOUT);
+        writeFixture(srcPath, 'test-campaign/index.html', '---\npage_type: product\n---\n<p>hi</p>');
+        writeFixture(srcPath, 'test-campaign/checkout.html',
+            '---\npage_type: checkout\npermalink: /test-campaign/buy/\n---\n<p>buy</p>');
+        writeFixture(srcPath, 'test-campaign/assets/css/style.css', 'body { margin: 0; }');
+
+        await build({ srcPath, outputPath, campaigns: { 'test-campaign': { name: 'Test Campaign' } } });
+
+        const manifest = JSON.parse(fs.readFileSync(path.join(outputPath, '.campaign-manifest.json'), 'utf8'));
+        const { pages, assets } = manifest.campaigns['test-campaign'];
+
+        assert.deepEqual(pages.map(p => [p.source, p.url, p.output, p.layout, p.page_type]), [
+            ['test-campaign/checkout.html', '/test-campaign/buy/', 'test-campaign/buy/index.html', 'test-campaign/_layouts/base.html', 'checkout'],
+            ['test-campaign/index.html', '/test-campaign/', 'test-campaign/index.html', 'test-campaign/_layouts/base.html', 'product'],
+        ]);
+        const html = fs.readFileSync(path.join(outputPath, 'test-campaign', 'index.html'));
+        assert.equal(pages[1].hash, hashContent(html));
+
+        assert.deepEqual(assets, [{
+            source: 'test-campaign/assets/css/style.css',
+            output: 'test-campaign/css/style.css',
+            size: 19,
+            hash: hashContent('body { margin: 0; }'),
+        }]);
+    });
+});
+
+test('build: partial rebuilds leave the manifest untouched', async () => {
+    await withTmpDir(async (dir) => {
+        const srcPath = path.join(dir, 'src');
+        const outputPath = path.join(dir, '_site');
+
+        writeFixture(srcPath, 'test-campaign/index.html', '---\n---\n<p>hi</p>');
+
+        await build({
+            srcPath, outputPath,
+            campaigns: { 'test-campaign': { name: 'Test Campaign' } },
+            files: ['test-campaign/index.html'],
+        });
+
+        assert.ok(!fs.existsSync(path.join(outputPath, '.campaign-manifest.json')));
+    });
+});
+
+// ---------------------------------------------------------------------------
+// build() — asset fingerprinting
+// ---------------------------------------------------------------------------
+
+test('renderPage: campaign_asset resolves names through the asset map', async () => {
+    const engine = createEngine('/unused');
+    const html = await renderPage(engine, {
+        body: '{{ "css/offer.css" | campaign_asset }} {{ "js/app.js" | campaign_asset }}',
+        frontmatter: {},
+        campaign: CAMPAIGN,
+        pageData: { url: '/test-campaign/' },
+        layoutSrc: null,
+        assetMap: { 'css/offer.css': 'css/offer.3f9a1c2b.css' },
+    });
+    assert.equal(html, '/test-campaign/css/offer.3f9a1c2b.css /test-campaign/js/app.js');
+});
+
+test('build: fingerprint writes hashed assets, an asset map and hashed references', async () => {
+    await withTmpDir(async (dir) => {
+        const srcPath = path.join(dir, 'src');
+        const outputPath = path.join(dir, '_site');
+        const css = 'body { margin: 0; }';
+        const hashed = `css/style.${hashContent(css).slice(0, 8)}.css`;
+
+        writeFixture(srcPath, 'test-campaign/index.html', '---\n---\n{{ "css/style.css" | campaign_asset }}');
+        writeFixture(srcPath, 'test-campaign/assets/css/style.css', css);
+
+        await build({
+            srcPath, outputPath, fingerprint: true,
+            campaigns: { 'test-campaign': { name: 'Test Campaign' } },
+        });
+
+        const html = fs.readFileSync(path.join(outputPath, 'test-campaign', 'index.html'), 'utf8');
+        assert.equal(html, `/test-campaign/${hashed}`);
+        assert.ok(fs.existsSync(path.join(outputPath, 'test-campaign', hashed)));
+        assert.ok(fs.existsSync(path.join(outputPath, 'test-campaign', 'css', 'style.css')));
+
+        const map = JSON.parse(fs.readFileSync(path.join(outputPath, '.campaign-assets.json'), 'utf8'));
+        assert.deepEqual(map, { 'test-campaign': { 'css/style.css': hashed } });
+    });
+});
+
+test('build: fingerprinted references also resolve on worker threads', async () => {
+    await withTmpDir(async (dir) => {
+        const srcPath = path.join(dir, 'src');
+        const outputPath = path.join(dir, '_site');
+
+        writeFixture(srcPath, 'test-campaign/index.html', '---\n---\n{{ "app.js" | campaign_asset }}');
+        writeFixture(srcPath, 'test-campaign/other.html', '---\n---\n{{ "app.js" | campaign_asset }}');
+        writeFixture(srcPath, 'test-campaign/assets/app.js', 'console.log(1);');
+
+        await build({
+            srcPath, outputPath, fingerprint: true, concurrency: 2,
+            campaigns: { 'test-campaign': { name: 'Test Campaign' } },
+        });
+
+        const html = fs.readFileSync(path.join(outputPath, 'test-campaign', 'other', 'index.html'), 'utf8');
+        assert.match(html, /^\/test-campaign\/app\.[0-9a-f]{8}\.js$/);
+    });
+});
+
+// ---------------------------------------------------------------------------
+// build() — clean builds
+// ---------------------------------------------------------------------------
+
+test('build: clean removes output of deleted pages and moved permalinks', async () => {
+    await withTmpDir(async (dir) => {
+        const srcPath = path.join(dir, 'src');
+        const outputPath = path.join(dir, '_site');
+        const campaigns = { 'test-campaign': { name: 'Test Campaign' } };
+
+        writeFixture(srcPath, 'test-campaign/index.html', '---\n---\n<p>hi</p>');
+        writeFixture(srcPath, 'test-campaign/old.html', '---\n---\n<p>old</p>');
+        writeFixture(srcPath, 'test-campaign/offer.html', '---\npermalink: /test-campaign/retired-offer/\n---\n<p>offer</p>');
+        await build({ srcPath, outputPath, campaigns });
+
+        fs.rmSync(path.join(srcPath, 'test-campaign/old.html'));
+        writeFixture(srcPath, 'test-campaign/offer.html', '---\npermalink: /test-campaign/offer/\n---\n<p>offer</p>');
+        const { pruned } = await build({ srcPath, outputPath, campaigns, clean: true });
+
+        assert.deepEqual(pruned, ['test-campaign/old/index.html', 'test-campaign/retired-offer/index.html']);
+        assert.ok(!fs.existsSync(path.join(outputPath, 'test-campaign', 'old')));
+        assert.ok(!fs.existsSync(path.join(outputPath, 'test-campaign', 'retired-offer')));
+        assert.ok(fs.existsSync(path.join(outputPath, 'test-campaign', 'offer', 'index.html')));
+        assert.ok(fs.existsSync(path.join(outputPath, 'test-campaign', 'index.html')));
+    });
+});
+
+test('build: clean dry run lists stale files without removing them', async () => {
+    await withTmpDir(async (dir) => {
+        const srcPath = path.join(dir, 'src');
+        const outputPath = path.join(dir, '_site');
+
+        writeFixture(srcPath, 'test-campaign/index.html', '---\n---\n<p>hi</p>');
+        writeFixture(outputPath, 'test-campaign/stale/index.html', '<p>stale</p>');
+
+        const { pruned } = await build({
+            srcPath, outputPath, clean: true, dryRun: true,
+            campaigns: { 'test-campaign': { name: 'Test Campaign' } },
+        });
+
+        assert.deepEqual(pruned, ['test-campaign/stale/index.html']);
+        assert.ok(fs.existsSync(path.join(outputPath, 'test-campaign', 'stale', 'index.html')));
+    });
+});
+
+test('build: clean never touches other campaigns or unrelated output', async () => {
+    await withTmpDir(async (dir) => {
+        const srcPath = path.join(dir, 'src');
+        const outputPath = path.join(dir, '_site');
+
+        writeFixture(srcPath, 'a/index.html', '---\n---\n<p>a</p>');
+        writeFixture(srcPath, 'b/index.html', '---\n---\n<p>b</p>');
+        writeFixture(outputPath, 'b/stale/index.html', '<p>b stale</p>');
+        writeFixture(outputPath, 'robots.txt', 'User-agent: *');
+
+        const { pruned } = await build({
+            srcPath, outputPath, clean: true,
+            campaigns: { a: { name: 'A' } },
+        });
+
+        assert.deepEqual(pruned, []);
+        assert.ok(fs.existsSync(path.join(outputPath, 'b', 'stale', 'index.html')));
+        assert.ok(fs.existsSync(path.join(outputPath, 'robots.txt')));
+    });
+});
+
+test('build: clean only removes files inside the directories of the campaigns built', async () => {
+    await withTmpDir(async (dir) => {
+        const srcPath = path.join(dir, 'src');
+        const outputPath = path.join(dir, '_site');
+        const campaigns = { a: { name: 'A' } };
+
+        writeFixture(srcPath, 'a/index.html', '---\n---\n<p>a</p>');
+        writeFixture(outputPath, 'shared/index.html', '<p>shared</p>');
+        writeFixture(dir, 'outside/index.html', '<p>outside</p>');
+        // A manifest from an older build pointing outside the campaign's directory
+        writeFixture(outputPath, '.campaign-manifest.json', JSON.stringify({
+            campaigns: { a: { pages: [{ output: 'shared/index.html' }, { output: '../outside/index.html' }], assets: [] } },
+        }));
+
+        const { pruned } = await build({ srcPath, outputPath, campaigns, clean: true });
+
+        assert.deepEqual(pruned, []);
+        assert.ok(fs.existsSync(path.join(outputPath, 'shared', 'index.html')));
+        assert.ok(fs.existsSync(path.join(dir, 'outside', 'index.html')));
+
+        // Deleting is checked again, whatever the caller passes in
+        removeStaleOutput(outputPath, ['../outside/index.html', 'shared/index.html', 'a/../shared/index.html'], ['a']);
+        assert.ok(fs.existsSync(path.join(dir, 'outside', 'index.html')));
+        assert.ok(fs.existsSync(path.join(outputPath, 'shared', 'index.html')));
+    });
+});
+
+test('build: clean keeps fingerprinted assets and skips pruning when pages fail', async () => {
+    await withTmpDir(async (dir) => {
+        const srcPath = path.join(dir, 'src');
+        const outputPath = path.join(dir, '_site');
+        const campaigns = { 'test-campaign': { name: 'Test Campaign' } };
+
+        writeFixture(srcPath, 'test-campaign/index.html', '---\n---\n<p>hi</p>');
+        writeFixture(srcPath, 'test-campaign/assets/app.js', 'console.log(1);');
+        writeFixture(outputPath, 'test-campaign/stale.js', 'old');
+
+        const ok = await build({ srcPath, outputPath, campaigns, clean: true, fingerprint: true });
+        assert.deepEqual(ok.pruned, ['test-campaign/stale.js']);
+
+        writeFixture(outputPath, 'test-campaign/stale.js', 'old');
+        writeFixture(srcPath, 'test-campaign/index.html', '---\n---\n{% unknowntag %}');
+        const failed = await build({ srcPath, outputPath, campaigns, clean: true });
+        assert.deepEqual(failed.pruned, []);
+        assert.ok(fs.existsSync(path.join(outputPath, 'test-campaign', 'stale.js')));
+    });
+});
+
+test('build: clean cannot be combined with an explicit file list', async () => {
+    await assert.rejects(
+        build({ srcPath: '/unused', outputPath: '/unused', campaigns: {}, clean: true, files: [] }),
+        /clean build/
+    );
+});
+
+// ---------------------------------------------------------------------------
+// build() — per-page results
+// ---------------------------------------------------------------------------
+
+test('build: returns per-page results with errors and durations', async () => {
+    await withTmpDir(async (dir) => {
+        const srcPath = path.join(dir, 'src');
+        const outputPath = path.join(dir, '_site');
+
+        writeFixture(srcPath, 'test-campaign/index.html', '---\n---\n<p>hi</p>');
+        writeFixture(srcPath, 'test-campaign/broken.html', '---\n---\n{% unknowntag %}');
+
+        const { pages } = await build({ srcPath, outputPath, campaigns: { 'test-campaign': { name: 'Test Campaign' } } });
+        const byFile = Object.fromEntries(pages.map(p => [p.file, p]));
+
+        assert.equal(pages.length, 2);
+        assert.equal(byFile['test-campaign/index.html'].error, null);
+        assert.equal(byFile['test-campaign/index.html'].url, '/test-campaign/');
+        assert.equal(byFile['test-campaign/index.html'].output, 'test-campaign/index.html');
+        assert.match(byFile['test-campaign/broken.html'].error, /unknowntag/);
+        assert.equal(typeof byFile['test-campaign/broken.html'].ms, 'number');
+    });
+});
+
+test('build: discovers only the pages of the campaigns being built', async () => {
+    await withTmpDir(async (dir) => {
+        const srcPath = path.join(dir, 'src');
+        const outputPath = path.join(dir, '_site');
+
+        writeFixture(srcPath, 'a/index.html', '---\n---\n<p>a</p>');
+        writeFixture(srcPath, 'b/index.html', '---\n---\n<p>b</p>');
+
+        const { built, pages } = await build({ srcPath, outputPath, campaigns: { a: { name: 'A' } } });
+
+        assert.equal(built, 1);
+        assert.deepEqual(pages.map(p => p.file), ['a/index.html']);
+        assert.ok(!fs.existsSync(path.join(outputPath, 'b')));
+    });
+});
+
+// ---------------------------------------------------------------------------
+// Nested directory routes
+// ---------------------------------------------------------------------------
+
+test('resolveOutput: nested page keeps its folders in the URL', () => {
+    const { url, outputFile } = resolveOutput('my-campaign/offers/a.html', {}, '/out');
+    assert.equal(url, '/my-campaign/offers/a/');
+    assert.equal(outputFile, path.join('/out', 'my-campaign', 'offers', 'a', 'index.html'));
+});
+
+test('resolveOutput: nested index.html → folder URL', () => {
+    const { url, outputFile } = resolveOutput('my-campaign/offers/index.html', {}, '/out');
+    assert.equal(url, '/my-campaign/offers/');
+    assert.equal(outputFile, path.join('/out', 'my-campaign', 'offers', 'index.html'));
+});
+
+test('renderPage: campaign_link resolves relative to a nested page', async () => {
+    const engine = createEngine('/src');
+    const html = await renderPage(engine, {
+        body: '{{ "b.html" | campaign_link }} {{ "index.html" | campaign_link }} {{ "../checkout.html" | campaign_link }}',
+        frontmatter: {},
+        campaign: CAMPAIGN,
+        pageData: { url: '/test-campaign/offers/a/', inputPath: '/src/test-campaign/offers/a.html' },
+        layoutSrc: null,
+    });
+    assert.equal(html, '/test-campaign/offers/b/ /test-campaign/offers/ /test-campaign/checkout/');
+});
+
+test('renderPage: campaign_link from a top-level page stays at the campaign root', async () => {
+    const engine = createEngine('/src');
+    const html = await renderPage(engine, {
+        body: '{{ "offers/a.html" | campaign_link }}',
+        frontmatter: {},
+        campaign: CAMPAIGN,
+        pageData: { url: '/test-campaign/', inputPath: '/src/test-campaign/index.html' },
+        layoutSrc: null,
+    });
+    assert.equal(html, '/test-campaign/offers/a/');
+});
+
+test('build: same filename in different folders builds to separate URLs', async () => {
+    await withTmpDir(async (dir) => {
+        const srcPath = path.join(dir, 'src');
+        const outputPath = path.join(dir, '_site');
+
+        writeFixture(srcPath, 'test-campaign/offers/a.html', '---\n---\n<p>offer</p>');
+        writeFixture(srcPath, 'test-campaign/legacy/a.html', '---\n---\n<p>legacy</p>');
+
+        const { built, errors } = await build({ srcPath, outputPath, campaigns: { 'test-campaign': { name: 'Test Campaign' } } });
+
+        assert.equal(built, 2);
+        assert.equal(errors, 0);
+        assert.equal(fs.readFileSync(path.join(outputPath, 'test-campaign', 'offers', 'a', 'index.html'), 'utf8'), '<p>offer</p>');
+        assert.equal(fs.readFileSync(path.join(outputPath, 'test-campaign', 'legacy', 'a', 'index.html'), 'utf8'), '<p>legacy</p>');
+    });
+});
+
+test('build: reports pages that produce the same output file and writes neither', async () => {
+    await withTmpDir(async (dir) => {
+        const srcPath = path.join(dir, 'src');
+        const outputPath = path.join(dir, '_site');
+
+        writeFixture(srcPath, 'test-campaign/offers.html', '---\n---\n<p>page</p>');
+        writeFixture(srcPath, 'test-campaign/offers/index.html', '---\n---\n<p>folder</p>');
+        writeFixture(srcPath, 'test-campaign/index.html', '---\n---\n<p>home</p>');
+
+        const { built, errors, pages } = await build({ srcPath, outputPath, campaigns: { 'test-campaign': { name: 'Test Campaign' } } });
+
+        assert.equal(built, 1);
+        assert.equal(errors, 2);
+        const failed = pages.filter(p => p.error).map(p => p.file).sort();
+        assert.deepEqual(failed, ['test-campaign/offers.html', 'test-campaign/offers/index.html']);
+        assert.match(pages.find(p => p.file === 'test-campaign/offers.html').error,
+            /test-campaign\/offers\/index\.html is also produced by test-campaign\/offers\/index\.html/);
+        assert.ok(!fs.existsSync(path.join(outputPath, 'test-campaign', 'offers', 'index.html')));
+    });
+});
+
+// ---------------------------------------------------------------------------
+// build() — permalink validation
+// ---------------------------------------------------------------------------
+
+test('build: permalink outside the campaign URL space is an error', async () => {
+    await withTmpDir(async (dir) => {
+        const srcPath = path.join(dir, 'src');
+        const outputPath = path.join(dir, '_site');
+
+        writeFixture(srcPath, 'clone/checkout.html', '---\npermalink: /live/checkout/\n---\n<p>clone</p>');
+
+        const { built, errors, pages } = await build({ srcPath, outputPath, campaigns: { clone: { name: 'Clone' } } });
+
+        assert.equal(built, 0);
+        assert.equal(errors, 1);
+        assert.match(pages[0].error, /permalink \/live\/checkout\/ is outside the campaign's URL space \/clone\//);
+        assert.ok(!fs.existsSync(path.join(outputPath, 'live')));
+    });
+});
+
+test('resolveOutput: permalinks are normalised and may not leave the output directory', () => {
+    assert.equal(resolveOutput('a/x.html', { permalink: '/a/../b/' }, '/out').url, '/b/');
+    assert.equal(resolveOutput('a/x.html', { permalink: '/a/./deal' }, '/out').outputFile, path.join('/out', 'a', 'deal', 'index.html'));
+    assert.throws(() => resolveOutput('a/x.html', { permalink: '../x' }, '/out'), /permalink \.\.\/x leaves the output directory/);
+    assert.throws(() => resolveOutput('a/x.html', { permalink: '/a/../../x/' }, '/out'), /leaves the output directory/);
+});
+
+test('build: a permalink climbing into another campaign is an error', async () => {
+    await withTmpDir(async (dir) => {
+        const srcPath = path.join(dir, 'src');
+        const outputPath = path.join(dir, '_site');
+
+        writeFixture(srcPath, 'a/index.html', '---\ntitle: A\npage_type: product\npermalink: /a/../b/\n---\n<p>a</p>');
+
+        const { built, errors, pages } = await build({ srcPath, outputPath, campaigns: { a: { name: 'A' }, b: { name: 'B' } } });
+
+        assert.equal(built, 0);
+        assert.equal(errors, 1);
+        assert.match(pages[0].error, /permalink \/b\/ is outside the campaign's URL space \/a\//);
+        assert.ok(!fs.existsSync(path.join(outputPath, 'b', 'index.html')));
+    });
+});
+
+test('build: leaving the output directory is an error even when permalinks only warn', async () => {
+    await withTmpDir(async (dir) => {
+        const srcPath = path.join(dir, 'src');
+        const outputPath = path.join(dir, '_site');
+
+        writeFixture(srcPath, 'a/index.html', '---\ntitle: A\npage_type: product\npermalink: ../x\n---\n<p>a</p>');
+        writeFixture(srcPath, 'a/product.html',
+            '---\ntitle: P\npage_type: product\ncollection: campaign.products\npermalink: /a/{{ item.sku }}/\n---\n<p>p</p>');
+
+        const { built, errors, pages } = await build({
+            srcPath, outputPath,
+            campaigns: { a: { name: 'A', products: [{ sku: '../../escape' }] } },
+            config: { validation: { permalinks: 'warn' } },
+        });
+
+        assert.equal(built, 0);
+        assert.equal(errors, 2);
+        assert.match(pages.find(p => p.file === 'a/index.html').error, /permalink \.\.\/x leaves the output directory/);
+        assert.match(pages.find(p => p.file === 'a/product.html').error, /leaves the output directory/);
+        assert.ok(!fs.existsSync(path.join(dir, 'x')));
+        assert.ok(!fs.existsSync(path.join(dir, 'escape')));
+    });
+});
+
+test('build: output collisions across campaigns are errors', async () => {
+    await withTmpDir(async (dir) => {
+        const srcPath = path.join(dir, 'src');
+        const outputPath = path.join(dir, '_site');
+
+        writeFixture(srcPath, 'live/checkout.html', '---\n---\n<p>live</p>');
+        writeFixture(srcPath, 'clone/checkout.html', '---\npermalink: /live/checkout/\n---\n<p>clone</p>');
+
+        const { built, errors, pages } = await build({
+            srcPath, outputPath,
+            campaigns: { live: { name: 'Live' }, clone: { name: 'Clone' } },
+        });
+
+        assert.equal(built, 0);
+        assert.equal(errors, 2);
+        assert.match(pages.find(p => p.file === 'live/checkout.html').error, /also produced by clone\/checkout\.html/);
+    });
+});
+
+test('build: permalink issues are warnings when the project opts in', async () => {
+    await withTmpDir(async (dir) => {
+        const srcPath = path.join(dir, 'src');
+        const outputPath = path.join(dir, '_site');
+
+        writeFixture(srcPath, 'test-campaign/index.html', '---\ntitle: Home\npage_type: product\npermalink: /shared/\n---\n<p>hi</p>');
+
+        const { built, errors, warnings } = await build({
+            srcPath, outputPath,
+            campaigns: { 'test-campaign': { name: 'Test Campaign' } },
+            config: { validation: { permalinks: 'warn' } },
+        });
+
+        assert.equal(built, 1);
+        assert.equal(errors, 0);
+        assert.deepEqual(warnings.map(w => w.file), ['test-campaign/index.html']);
+        assert.ok(fs.existsSync(path.join(outputPath, 'shared', 'index.html')));
+    });
+});
+
+test('build: rejects unknown validation levels', async () => {
+    await assert.rejects(
+        build({ srcPath: '/unused', outputPath: '/unused', campaigns: {}, config: { validation: { permalinks: 'loud' } } }),
+        /Invalid validation level for "permalinks"/
+    );
+});
+
+// ---------------------------------------------------------------------------
+// build() — funnel validation
+// ---------------------------------------------------------------------------
+
+test('build: broken funnel links fail the page', async () => {
+    await withTmpDir(async (dir) => {
+        const srcPath = path.join(dir, 'src');
+        const outputPath = path.join(dir, '_site');
+
+        writeFixture(srcPath, 'test-campaign/checkout.html',
+            '---\npage_type: checkout\nnext_success_url: upsel.html\n---\n<p>checkout</p>');
+
+        const { built, errors, pages } = await build({ srcPath, outputPath, campaigns: { 'test-campaign': { name: 'Test Campaign' } } });
+
+        assert.equal(built, 0);
+        assert.equal(errors, 1);
+        assert.match(pages[0].error, /next_success_url "upsel\.html" resolves to \/test-campaign\/upsel\//);
+    });
+});
+
+test('build: funnel dead ends and unreachable pages are warnings unless funnel_flow asks for errors', async () => {
+    await withTmpDir(async (dir) => {
+        const srcPath = path.join(dir, 'src');
+        const outputPath = path.join(dir, '_site');
+        const campaigns = { 'test-campaign': { name: 'Test Campaign' } };
+
+        writeFixture(srcPath, 'test-campaign/checkout.html', '---\ntitle: Checkout\npage_type: checkout\n---\n<p>checkout</p>');
+        writeFixture(srcPath, 'test-campaign/receipt.html', '---\ntitle: Receipt\npage_type: receipt\n---\n<p>receipt</p>');
+
+        const result = await build({ srcPath, outputPath, campaigns });
+        assert.equal(result.built, 2);
+        assert.equal(result.errors, 0);
+        assert.deepEqual(result.warnings.map(w => w.message).sort(), [
+            'checkout page is a dead end: next_success_url is not set',
+            'receipt page /test-campaign/receipt/ is not reachable from any checkout page',
+        ]);
+
+        const strict = await build({ srcPath, outputPath, campaigns, config: { validation: { funnel_flow: 'error' } } });
+        assert.equal(strict.built, 0);
+        assert.equal(strict.errors, 2);
+
+        const off = await build({ srcPath, outputPath, campaigns, config: { validation: { funnel: 'off', funnel_flow: 'error' } } });
+        assert.equal(off.errors, 0);
+        assert.equal(off.warnings.length, 0);
+    });
+});
+
+test('build: funnel checks are skipped on partial rebuilds', async () => {
+    await withTmpDir(async (dir) => {
+        const srcPath = path.join(dir, 'src');
+        const outputPath = path.join(dir, '_site');
+
+        writeFixture(srcPath, 'test-campaign/checkout.html',
+            '---\npage_type: checkout\nnext_success_url: receipt.html\n---\n<p>checkout</p>');
+
+        const { built, errors } = await build({
+            srcPath, outputPath,
+            campaigns: { 'test-campaign': { name: 'Test Campaign' } },
+            files: ['test-campaign/checkout.html'],
+        });
+
+        assert.equal(built, 1);
+        assert.equal(errors, 0);
+    });
+});
+
+// ---------------------------------------------------------------------------
+// build() — frontmatter validation
+// ---------------------------------------------------------------------------
+
+test('build: frontmatter issues are reported as warnings with file and field', async () => {
+    await withTmpDir(async (dir) => {
+        const srcPath = path.join(dir, 'src');
+        const outputPath = path.join(dir, '_site');
+
+        writeFixture(srcPath, 'test-campaign/index.html', '---\ntitle: Home\npage_tpye: product\n---\n<p>hi</p>');
+
+        const { built, errors, warnings } = await build({ srcPath, outputPath, campaigns: { 'test-campaign': { name: 'Test Campaign' } } });
+
+        assert.equal(built, 1);
+        assert.equal(errors, 0);
+        assert.deepEqual(warnings, [
+            { file: 'test-campaign/index.html', message: 'frontmatter: missing required field "page_type"' },
+            { file: 'test-campaign/index.html', message: 'frontmatter: unknown field "page_tpye" (did you mean "page_type"?)' },
+        ]);
+    });
+});
+
+test('build: campaign frontmatter fields are accepted and errors fail the page', async () => {
+    await withTmpDir(async (dir) => {
+        const srcPath = path.join(dir, 'src');
+        const outputPath = path.join(dir, '_site');
+
+        writeFixture(srcPath, 'test-campaign/index.html', '---\ntitle: Home\npage_type: product\nhero_image: hero.jpg\n---\n<p>hi</p>');
+        writeFixture(srcPath, 'test-campaign/about.html', '---\ntitle: About\npage_type: product\nhero_image: 3\n---\n<p>about</p>');
+
+        const { built, errors, pages } = await build({
+            srcPath, outputPath,
+            campaigns: { 'test-campaign': { name: 'Test Campaign', frontmatter: { hero_image: { type: 'string' } } } },
+            config: { validation: { frontmatter: 'error' } },
+        });
+
+        assert.equal(built, 1);
+        assert.equal(errors, 1);
+        const failed = pages.find(p => p.error);
+        assert.equal(failed.file, 'test-campaign/about.html');
+        assert.equal(failed.error, 'frontmatter: field "hero_image" must be a string, got number');
+    });
+});
+
+// ---------------------------------------------------------------------------
+// build() — shared layouts and includes
+// ---------------------------------------------------------------------------
+
+test('build: falls back to shared layouts and includes, campaign files override them', async () => {
+    await withTmpDir(async (dir) => {
+        const srcPath = path.join(dir, 'src');
+        const outputPath = path.join(dir, '_site');
+
+        writeFixture(srcPath, '_shared/_layouts/base.html', '<main>{{ content }}</main>');
+        writeFixture(srcPath, '_shared/_includes/footer.html', '<footer>shared</footer>');
+        writeFixture(srcPath, 'one/index.html', "---\n---\n{% campaign_include 'footer.html' %}");
+        writeFixture(srcPath, 'two/_layouts/base.html', '<body>{{ content }}</body>');
+        writeFixture(srcPath, 'two/_includes/footer.html', '<footer>two</footer>');
+        writeFixture(srcPath, 'two/index.html', "---\n---\n{% campaign_include 'footer.html' %}");
+
+        await build({ srcPath, outputPath, campaigns: { one: { name: 'One' }, two: { name: 'Two' } } });
+
+        assert.equal(fs.readFileSync(path.join(outputPath, 'one', 'index.html'), 'utf8'), '<main><footer>shared</footer></main>');
+        assert.equal(fs.readFileSync(path.join(outputPath, 'two', 'index.html'), 'utf8'), '<body><footer>two</footer></body>');
+
+        const manifest = JSON.parse(fs.readFileSync(path.join(outputPath, '.campaign-manifest.json'), 'utf8'));
+        assert.equal(manifest.campaigns.one.pages[0].layout, '_shared/_layouts/base.html');
+        assert.equal(manifest.campaigns.two.pages[0].layout, 'two/_layouts/base.html');
+    });
+});
+
+test('build: pages using shared files depend on the campaign override path too', async () => {
+    await withTmpDir(async (dir) => {
+        const srcPath = path.join(dir, 'src');
+        const outputPath = path.join(dir, '_site');
+
+        writeFixture(srcPath, '_shared/_includes/footer.html', '<footer>shared</footer>');
+        writeFixture(srcPath, 'one/index.html', "---\n---\n{% campaign_include 'footer.html' %}");
+
+        const graph = createDependencyGraph();
+        await build({ srcPath, outputPath, graph, campaigns: { one: { name: 'One' } } });
+
+        assert.deepEqual(graph.dependentsOf(path.join(srcPath, '_shared/_includes/footer.html')), ['one/index.html']);
+        assert.deepEqual(graph.dependentsOf(path.join(srcPath, 'one/_includes/footer.html')), ['one/index.html']);
+    });
+});
+
+// ---------------------------------------------------------------------------
+// build() — layout chains
+// ---------------------------------------------------------------------------
+
+test('renderPage: wraps body in each layout, innermost first', async () => {
+    const engine = createEngine('/unused');
+    const html = await renderPage(engine, {
+        body: '<p>hi</p>',
+        frontmatter: { title: 'Page' },
+        campaign: CAMPAIGN,
+        pageData: { url: '/test-campaign/' },
+        layouts: ['<form>{{ content }}</form>', '<html><title>{{ title }}</title>{{ content }}</html>'],
+    });
+    assert.equal(html, '<html><title>Page</title><form><p>hi</p></form></html>');
+});
+
+test('build: layouts chain through page_layout and merge frontmatter down the chain', async () => {
+    await withTmpDir(async (dir) => {
+        const srcPath = path.join(dir, 'src');
+        const outputPath = path.join(dir, '_site');
+
+        writeFixture(srcPath, '_shared/_layouts/base.html',
+            '---\ntheme: light\nfooter: false\n---\n<html class="{{ theme }}">{{ content }}{% if footer %}<footer></footer>{% endif %}</html>');
+        writeFixture(srcPath, 'test-campaign/_layouts/checkout.html',
+            '---\npage_layout: base.html\ntheme: dark\nfooter: true\n---\n<form>{{ content }}</form>');
+        writeFixture(srcPath, 'test-campaign/checkout.html',
+            '---\npage_layout: checkout.html\ntheme: blue\n---\n<p>{{ theme }}</p>');
+
+        const graph = createDependencyGraph();
+        const { errors } = await build({ srcPath, outputPath, graph, campaigns: { 'test-campaign': { name: 'Test Campaign' } } });
+
+        assert.equal(errors, 0);
+        assert.equal(fs.readFileSync(path.join(outputPath, 'test-campaign', 'checkout', 'index.html'), 'utf8'),
+            '<html class="blue"><form><p>blue</p></form><footer></footer></html>');
+        assert.deepEqual(graph.dependentsOf(path.join(srcPath, '_shared/_layouts/base.html')), ['test-campaign/checkout.html']);
+
+        const manifest = JSON.parse(fs.readFileSync(path.join(outputPath, '.campaign-manifest.json'), 'utf8'));
+        assert.equal(manifest.campaigns['test-campaign'].pages[0].layout, 'test-campaign/_layouts/checkout.html');
+    });
+});
+
+test('build: layout cycles and missing parent layouts fail the page', async () => {
+    await withTmpDir(async (dir) => {
+        const srcPath = path.join(dir, 'src');
+        const outputPath = path.join(dir, '_site');
+
+        writeFixture(srcPath, 'test-campaign/_layouts/a.html', '---\npage_layout: b.html\n---\n{{ content }}');
+        writeFixture(srcPath, 'test-campaign/_layouts/b.html', '---\npage_layout: a.html\n---\n{{ content }}');
+        writeFixture(srcPath, 'test-campaign/_layouts/orphan.html', '---\npage_layout: shell.html\n---\n{{ content }}');
+        writeFixture(srcPath, 'test-campaign/loop.html', '---\npage_layout: a.html\n---\n<p>loop</p>');
+        writeFixture(srcPath, 'test-campaign/orphan.html', '---\npage_layout: orphan.html\n---\n<p>orphan</p>');
+
+        const { built, pages } = await build({ srcPath, outputPath, campaigns: { 'test-campaign': { name: 'Test Campaign' } } });
+
+        assert.equal(built, 0);
+        const errorsByFile = Object.fromEntries(pages.map(p => [p.file, p.error]));
+        assert.equal(errorsByFile['test-campaign/loop.html'],
+            'Layout cycle: test-campaign/_layouts/a.html → test-campaign/_layouts/b.html → test-campaign/_layouts/a.html');
+        assert.equal(errorsByFile['test-campaign/orphan.html'],
+            'Layout "shell.html" (page_layout of test-campaign/_layouts/orphan.html) not found');
+    });
+});
+
+// ---------------------------------------------------------------------------
+// build() — data files
+// ---------------------------------------------------------------------------
+
+test('build: exposes global and campaign data files to templates', async () => {
+    await withTmpDir(async (dir) => {
+        const srcPath = path.join(dir, 'src');
+        const outputPath = path.join(dir, '_site');
+        const dataPath = path.join(dir, '_data');
+        const campaignsPath = path.join(dataPath, 'campaigns.json');
+
+        writeFixture(dataPath, 'campaigns.json', '{}');
+        writeFixture(dataPath, 'brand.json', '{ "name": "Acme" }');
+        writeFixture(dataPath, 'faq.yaml', '- q: Shipping?\n  a: Free\n');
+        writeFixture(srcPath, 'test-campaign/_data/products.yml', '- sku: A1\n- sku: B2\n');
+        writeFixture(srcPath, 'test-campaign/index.html',
+            '---\n---\n{{ data.brand.name }}|{{ data.faq[0].a }}|{% for p in campaign.data.products %}{{ p.sku }}{% endfor %}|{{ campaign.data.tagline }}|{{ data.campaigns }}');
+
+        const graph = createDependencyGraph();
+        await build({
+            srcPath, outputPath, dataPath, campaignsPath, graph,
+            campaigns: { 'test-campaign': { name: 'Test Campaign', data: { tagline: 'Hi' } } },
+        });
+
+        assert.equal(fs.readFileSync(path.join(outputPath, 'test-campaign', 'index.html'), 'utf8'), 'Acme|Free|A1B2|Hi|');
+        assert.deepEqual(graph.dependentsOf(path.join(dataPath, 'faq.yaml')), ['test-campaign/index.html']);
+        assert.deepEqual(graph.dependentsOf(path.join(srcPath, 'test-campaign/_data/products.yml')), ['test-campaign/index.html']);
+    });
+});
+
+test('build: rejects invalid and duplicate data files', async () => {
+    await withTmpDir(async (dir) => {
+        const srcPath = path.join(dir, 'src');
+        const dataPath = path.join(dir, '_data');
+        const campaigns = { 'test-campaign': { name: 'Test Campaign' } };
+
+        writeFixture(dataPath, 'faq.json', '{ broken');
+        await assert.rejects(build({ srcPath, outputPath: path.join(dir, '_site'), dataPath, campaigns }),
+            /Invalid data file .*faq\.json/);
+
+        writeFixture(dataPath, 'faq.json', '[]');
+        writeFixture(dataPath, 'faq.yaml', '[]');
+        await assert.rejects(build({ srcPath, outputPath: path.join(dir, '_site'), dataPath, campaigns }),
+            /Duplicate data file for "faq"/);
+    });
+});
+
+// ---------------------------------------------------------------------------
+// build() — Markdown pages
+// ---------------------------------------------------------------------------
+
+test('resolveOutput: Markdown pages use the same URL rules', () => {
+    assert.equal(resolveOutput('my-campaign/legal/terms.md', {}, '/out').url, '/my-campaign/legal/terms/');
+    assert.equal(resolveOutput('my-campaign/legal/index.md', {}, '/out').url, '/my-campaign/legal/');
+});
+
+test('build: renders Markdown pages through Liquid, Markdown and the layout', async () => {
+    await withTmpDir(async (dir) => {
+        const srcPath = path.join(dir, 'src');
+        const outputPath = path.join(dir, '_site');
+
+        writeFixture(srcPath, 'test-campaign/_layouts/base.html', '<html><title>{{ title }}</title>{{ content }}</html>');
+        writeFixture(srcPath, 'test-campaign/terms.md',
+            '---\ntitle: Terms\n---\n# {{ campaign.name }} terms\n\nSee [checkout]({{ "checkout.html" | campaign_link }}).\n');
+
+        const { built, pages } = await build({ srcPath, outputPath, campaigns: { 'test-campaign': { name: 'Acme' } } });
+
+        assert.equal(built, 1);
+        assert.equal(pages[0].url, '/test-campaign/terms/');
+        assert.equal(fs.readFileSync(path.join(outputPath, 'test-campaign', 'terms', 'index.html'), 'utf8'),
+            '<html><title>Terms</title><h1>Acme terms</h1>\n<p>See <a href="/test-campaign/checkout/">checkout</a>.</p>\n</html>');
+    });
+});
+
+test('renderPage: campaign_link resolves Markdown page references', async () => {
+    const engine = createEngine('/unused');
+    const html = await renderPage(engine, {
+        body: '{{ "terms.md" | campaign_link }}',
+        frontmatter: {},
+        campaign: CAMPAIGN,
+        pageData: { url: '/test-campaign/' },
+        layoutSrc: null,
+    });
+    assert.equal(html, '/test-campaign/terms/');
+});
+
+// ---------------------------------------------------------------------------
+// build() — base path and asset host
+// ---------------------------------------------------------------------------
+
+test('build: base_path prefixes links, assets and page URLs but not output files', async () => {
+    await withTmpDir(async (dir) => {
+        const srcPath = path.join(dir, 'src');
+        const outputPath = path.join(dir, '_site');
+
+        writeFixture(srcPath, 'test-campaign/index.html', [
+            '---', 'title: Home', 'page_type: product', '---',
+            '{{ "checkout.html" | campaign_link }}|{{ "css/app.css" | campaign_asset }}|{{ page.url }}|{{ "#faq" | campaign_link }}',
+        ].join('\n'));
+        writeFixture(srcPath, 'test-campaign/promo.html', '---\ntitle: Promo\npage_type: product\npermalink: /test-campaign/deal/\n---\n{{ page.url }}');
+
+        const { pages } = await build({
+            srcPath, outputPath,
+            campaigns: { 'test-campaign': { name: 'Test Campaign' } },
+            config: { base_path: 'offers' },
+        });
+
+        const read = (...p) => fs.readFileSync(path.join(outputPath, 'test-campaign', ...p, 'index.html'), 'utf8');
+        assert.equal(read(), '/offers/test-campaign/checkout/|/offers/test-campaign/css/app.css|/offers/test-campaign/|#faq');
+        assert.equal(read('deal'), '/offers/test-campaign/deal/');
+        assert.deepEqual(pages.map(p => p.url).sort(), ['/offers/test-campaign/', '/offers/test-campaign/deal/']);
+        const manifest = JSON.parse(fs.readFileSync(path.join(outputPath, '.campaign-manifest.json'), 'utf8'));
+        assert.deepEqual(manifest.campaigns['test-campaign'].pages.map(p => p.url).sort(), ['/offers/test-campaign/', '/offers/test-campaign/deal/']);
+    });
+});
+
+test('build: campaign settings override the project base_path and asset_base_url', async () => {
+    await withTmpDir(async (dir) => {
+        const srcPath = path.join(dir, 'src');
+        const outputPath = path.join(dir, '_site');
+        const page = '---\ntitle: Home\npage_type: product\n---\n{{ "upsell.html" | campaign_link }}|{{ "images/a.jpg" | campaign_asset }}';
+
+        writeFixture(srcPath, 'one/index.html', page);
+        writeFixture(srcPath, 'two/index.html', page);
+
+        await build({
+            srcPath, outputPath,
+            campaigns: {
+                one: { name: 'One' },
+                two: { name: 'Two', base_path: '/', asset_base_url: 'https://cdn.example.com/two-assets' },
+            },
+            config: { base_path: '/offers/', asset_base_url: 'https://cdn.example.com' },
+        });
+
+        const read = (slug) => fs.readFileSync(path.join(outputPath, slug, 'index.html'), 'utf8');
+        assert.equal(read('one'), '/offers/one/upsell/|https://cdn.example.com/one/images/a.jpg');
+        assert.equal(read('two'), '/two/upsell/|https://cdn.example.com/two-assets/two/images/a.jpg');
+    });
+});
+
+test('build: rejects a base_path that is not a path', async () => {
+    await withTmpDir(async (dir) => {
+        await assert.rejects(build({
+            srcPath: path.join(dir, 'src'), outputPath: path.join(dir, '_site'),
+            campaigns: { 'test-campaign': { name: 'Test Campaign', base_path: 'https://brand.com/offers/' } },
+            config: {},
+        }), /base_path must be a path like "\/offers\/"/);
+    });
+});
+
+// ---------------------------------------------------------------------------
+// build() — environments
+// ---------------------------------------------------------------------------
+
+test('build: applies environment overrides and exposes env to templates', async () => {
+    await withTmpDir(async (dir) => {
+        const srcPath = path.join(dir, 'src');
+        const outputPath = path.join(dir, '_site');
+        const dataPath = path.join(dir, '_data');
+        const campaignsPath = path.join(dataPath, 'campaigns.json');
+
+        writeFixture(dataPath, 'campaigns.json', JSON.stringify({
+            'test-campaign': { name: 'Test Campaign', api_key: 'live', environments: { staging: { api_key: 'test' } } },
+        }));
+        writeFixture(dataPath, 'campaigns.staging.json', '{ "test-campaign": { "name": "Staging Campaign" } }');
+        writeFixture(srcPath, 'test-campaign/index.html',
+            '---\n---\n{{ env }}|{{ campaign.name }}|{{ campaign.api_key }}|{{ campaign.environments }}|{{ data | json }}');
+
+        await build({ srcPath, outputPath, dataPath, campaignsPath, env: 'staging' });
+        assert.equal(fs.readFileSync(path.join(outputPath, 'test-campaign', 'index.html'), 'utf8'),
+            'staging|Staging Campaign|test||{}');
+        const manifest = JSON.parse(fs.readFileSync(path.join(outputPath, '.campaign-manifest.json'), 'utf8'));
+        assert.equal(manifest.env, 'staging');
+
+        await build({ srcPath, outputPath, dataPath, campaignsPath });
+        assert.equal(fs.readFileSync(path.join(outputPath, 'test-campaign', 'index.html'), 'utf8'),
+            '|Test Campaign|live||{}');
+    });
+});
+
+// ---------------------------------------------------------------------------
+// build() — split-test variants
+// ---------------------------------------------------------------------------
+
+test('build: renders each variant to its own URL with its overrides', async () => {
+    await withTmpDir(async (dir) => {
+        const srcPath = path.join(dir, 'src');
+        const outputPath = path.join(dir, '_site');
+
+        writeFixture(srcPath, 'test-campaign/presale.html', [
+            '---',
+            'title: Presale',
+            'page_type: product',
+            'headline: Original',
+            'variants:',
+            '  b:',
+            '    headline: Limited stock',
+            '  c: {}',
+            '---',
+            '{{ headline }}|{{ variant }}|{{ page.url }}',
+        ].join('\n'));
+
+        const { built, pages } = await build({ srcPath, outputPath, campaigns: { 'test-campaign': { name: 'Test Campaign' } } });
+
+        assert.equal(built, 3);
+        const read = (...p) => fs.readFileSync(path.join(outputPath, 'test-campaign', ...p, 'index.html'), 'utf8');
+        assert.equal(read('presale'), 'Original||/test-campaign/presale/');
+        assert.equal(read('presale', 'b'), 'Limited stock|b|/test-campaign/presale/b/');
+        assert.equal(read('presale', 'c'), 'Original|c|/test-campaign/presale/c/');
+        assert.deepEqual(pages.map(p => [p.file, p.variant, p.url]).sort(), [
+            ['test-campaign/presale.html', null, '/test-campaign/presale/'],
+            ['test-campaign/presale.html', 'b', '/test-campaign/presale/b/'],
+            ['test-campaign/presale.html', 'c', '/test-campaign/presale/c/'],
+        ]);
+
+        const manifest = JSON.parse(fs.readFileSync(path.join(outputPath, '.campaign-manifest.json'), 'utf8'));
+        assert.deepEqual(manifest.campaigns['test-campaign'].pages.map(p => p.variant).sort(), ['b', 'c', null]);
+    });
+});
+
+test('build: records the includes of every variant under the source page', async () => {
+    await withTmpDir(async (dir) => {
+        const srcPath = path.join(dir, 'src');
+        const outputPath = path.join(dir, '_site');
+
+        writeFixture(srcPath, 'test-campaign/_includes/a.html', 'A');
+        writeFixture(srcPath, 'test-campaign/_includes/b.html', 'B');
+        writeFixture(srcPath, 'test-campaign/presale.html', [
+            '---',
+            'title: Presale',
+            'page_type: product',
+            'variants:',
+            '  b: {}',
+            '---',
+            "{% if variant == 'b' %}{% campaign_include 'b.html' %}{% else %}{% campaign_include 'a.html' %}{% endif %}",
+        ].join('\n'));
+
+        for (const concurrency of [1, 2]) {
+            const graph = createDependencyGraph();
+            await build({ srcPath, outputPath, graph, concurrency, campaigns: { 'test-campaign': { name: 'Test Campaign' } } });
+
+            assert.deepEqual(graph.dependentsOf(path.join(srcPath, 'test-campaign/_includes/a.html')), ['test-campaign/presale.html']);
+            assert.deepEqual(graph.dependentsOf(path.join(srcPath, 'test-campaign/_includes/b.html')), ['test-campaign/presale.html']);
+        }
+    });
+});
+
+test('build: the documented variants example builds without warnings', async () => {
+    await withTmpDir(async (dir) => {
+        const srcPath = path.join(dir, 'src');
+        const outputPath = path.join(dir, '_site');
+
+        writeFixture(srcPath, 'test-campaign/assets/images/hero.jpg', 'jpg');
+        writeFixture(srcPath, 'test-campaign/assets/images/hero-c.jpg', 'jpg');
+        writeFixture(srcPath, 'test-campaign/presale.html', [
+            '---',
+            'title: Presale',
+            'page_type: product',
+            'headline: The original headline',
+            'hero_image: images/hero.jpg',
+            'variants:',
+            '  b:',
+            '    headline: Limited stock — order today',
+            '  c:',
+            '    headline: Save 50% this week',
+            '    hero_image: images/hero-c.jpg',
+            '---',
+            '<h1>{{ headline }}</h1>',
+            '<img src="{{ hero_image | campaign_asset }}">',
+        ].join('\n'));
+
+        const { built, warnings } = await build({
+            srcPath, outputPath,
+            campaigns: { 'test-campaign': { name: 'Test Campaign' } },
+            config: { frontmatter: { headline: { type: 'string' }, hero_image: { type: 'string' } } },
+        });
+
+        assert.equal(built, 3);
+        assert.deepEqual(warnings, []);
+    });
+});
+
+test('build: variant problems are reported with the variant name', async () => {
+    await withTmpDir(async (dir) => {
+        const srcPath = path.join(dir, 'src');
+        const outputPath = path.join(dir, '_site');
+
+        writeFixture(srcPath, 'test-campaign/index.html',
+            '---\ntitle: Home\npage_type: product\nvariants:\n  b:\n    headln: Typo\n---\n<p>home</p>');
+        writeFixture(srcPath, 'test-campaign/b.html', '---\ntitle: B\npage_type: product\n---\n<p>b</p>');
+        writeFixture(srcPath, 'test-campaign/bad.html', '---\nvariants:\n  b:\n    permalink: /x/\n---\n<p>bad</p>');
+
+        const { errors, pages, warnings } = await build({ srcPath, outputPath, campaigns: { 'test-campaign': { name: 'Test Campaign' } } });
+
+        assert.equal(errors, 3);
+        const failed = Object.fromEntries(pages.filter(p => p.error).map(p => [`${p.file}|${p.variant}`, p.error]));
+        assert.equal(failed['test-campaign/bad.html|null'], 'Variant "b" cannot override permalink');
+        assert.equal(failed['test-campaign/index.html|b'],
+            'output test-campaign/b/index.html is also produced by test-campaign/b.html');
+        assert.equal(failed['test-campaign/b.html|null'],
+            'output test-campaign/b/index.html is also produced by test-campaign/index.html (variant b)');
+        assert.ok(warnings.some(w => w.file === 'test-campaign/index.html (variant b)' && /unknown field "headln"/.test(w.message)));
+    });
+});
+
+// ---------------------------------------------------------------------------
+// build() — collections
+// ---------------------------------------------------------------------------
+
+test('build: renders a collection page once per item at its permalink', async () => {
+    await withTmpDir(async (dir) => {
+        const srcPath = path.join(dir, 'src');
+        const outputPath = path.join(dir, '_site');
+
+        writeFixture(srcPath, 'test-campaign/_data/products.yaml', '- sku: ab-1\n  name: Alpha\n- sku: cd-2\n  name: Delta\n');
+        writeFixture(srcPath, 'test-campaign/product.html', [
+            '---',
+            'title: Product',
+            'page_type: product',
+            'collection: campaign.data.products',
+            'permalink: /test-campaign/product/{{ item.sku | downcase }}/',
+            '---',
+            '{{ item.name }}|{{ page.url }}',
+        ].join('\n'));
+
+        const { built, pages, warnings } = await build({ srcPath, outputPath, campaigns: { 'test-campaign': { name: 'Test Campaign' } } });
+
+        assert.equal(built, 2);
+        assert.deepEqual(warnings, []);
+        const read = (...p) => fs.readFileSync(path.join(outputPath, 'test-campaign', ...p, 'index.html'), 'utf8');
+        assert.equal(read('product', 'ab-1'), 'Alpha|/test-campaign/product/ab-1/');
+        assert.equal(read('product', 'cd-2'), 'Delta|/test-campaign/product/cd-2/');
+        assert.deepEqual(pages.map(p => p.url).sort(), ['/test-campaign/product/ab-1/', '/test-campaign/product/cd-2/']);
+        assert.ok(!fs.existsSync(path.join(outputPath, 'test-campaign', 'product', 'index.html')));
+    });
+});
+
+test('build: collections can come from campaigns.json and global data', async () => {
+    await withTmpDir(async (dir) => {
+        const srcPath = path.join(dir, 'src');
+        const outputPath = path.join(dir, '_site');
+        const dataPath = path.join(dir, '_data');
+
+        writeFixture(dataPath, 'regions.json', '["eu", "us"]');
+        writeFixture(srcPath, 'test-campaign/offer.html',
+            '---\ntitle: Offer\npage_type: product\ncollection: campaign.offers\npermalink: /test-campaign/{{ item }}/\n---\n{{ item }}');
+        writeFixture(srcPath, 'test-campaign/region.html',
+            '---\ntitle: Region\npage_type: product\ncollection: data.regions\npermalink: /test-campaign/ship/{{ item }}/\n---\n{{ item }}');
+
+        const { built } = await build({
+            srcPath, outputPath, dataPath,
+            campaigns: { 'test-campaign': { name: 'Test Campaign', offers: ['spring', 'summer'] } },
+        });
+
+        assert.equal(built, 4);
+        const read = (...p) => fs.readFileSync(path.join(outputPath, 'test-campaign', ...p, 'index.html'), 'utf8');
+        assert.equal(read('summer'), 'summer');
+        assert.equal(read('ship', 'us'), 'us');
+    });
+});
+
+test('build: collection problems fail the page', async () => {
+    await withTmpDir(async (dir) => {
+        const srcPath = path.join(dir, 'src');
+        const outputPath = path.join(dir, '_site');
+
+        const page = (collection, permalink) =>
+            `---\ntitle: P\npage_type: product\ncollection: ${collection}\npermalink: ${permalink}\n---\n{{ item.sku }}`;
+        writeFixture(srcPath, 'test-campaign/missing.html', page('campaign.nope', '/test-campaign/{{ item.sku }}/'));
+        writeFixture(srcPath, 'test-campaign/static.html', page('campaign.skus', '/test-campaign/static/'));
+        writeFixture(srcPath, 'test-campaign/dupe.html', page('campaign.skus', '/test-campaign/dupe/{{ item.kind }}/'));
+
+        const { errors, pages } = await build({
+            srcPath, outputPath,
+            campaigns: { 'test-campaign': { name: 'Test Campaign', skus: [{ sku: 'a', kind: 'x' }, { sku: 'b', kind: 'x' }] } },
+        });
+
+        assert.equal(errors, 4);
+        const failed = pages.filter(p => p.error).map(p => p.error);
+        assert.ok(failed.includes('collection campaign.nope is not defined'));
+        assert.ok(failed.some(e => /need a permalink built from the item/.test(e)));
+        assert.ok(failed.includes('output test-campaign/dupe/x/index.html is also produced by test-campaign/dupe.html (campaign.skus[1])'));
+    });
+});
+
+// ---------------------------------------------------------------------------
+// build() — locales
+// ---------------------------------------------------------------------------
+
+test('build: renders every locale with translations, localised links and assets', async () => {
+    await withTmpDir(async (dir) => {
+        const srcPath = path.join(dir, 'src');
+        const outputPath = path.join(dir, '_site');
+
+        writeFixture(srcPath, 'test-campaign/_locales/en.json', '{ "title": "Checkout", "cta": "Buy" }');
+        writeFixture(srcPath, 'test-campaign/_locales/de.yaml', 'title: Kasse\n');
+        writeFixture(srcPath, 'test-campaign/assets/images/hero.jpg', 'en');
+        writeFixture(srcPath, 'test-campaign/assets/de/images/hero.jpg', 'de');
+        writeFixture(srcPath, 'test-campaign/checkout.html', [
+            '---', 'title: Checkout', 'page_type: receipt', '---',
+            '{{ locale }}|{{ "title" | t }}|{{ "cta" | t }}|{{ "receipt.html" | campaign_link }}|{{ "images/hero.jpg" | campaign_asset }}',
+        ].join('\n'));
+
+        const { built, warnings, pages } = await build({ srcPath, outputPath, campaigns: { 'test-campaign': { name: 'Test Campaign' } } });
+
+        assert.equal(built, 2);
+        const read = (...p) => fs.readFileSync(path.join(outputPath, 'test-campaign', ...p, 'index.html'), 'utf8');
+        assert.equal(read('checkout'), 'en|Checkout|Buy|/test-campaign/receipt/|/test-campaign/images/hero.jpg');
+        assert.equal(read('de', 'checkout'), 'de|Kasse|Buy|/test-campaign/de/receipt/|/test-campaign/de/images/hero.jpg');
+        assert.deepEqual(pages.map(p => p.locale).sort(), ['de', null]);
+        assert.deepEqual(warnings, [
+            { file: 'test-campaign/checkout.html (de)', message: 'missing translations for de: cta' },
+        ]);
+    });
+});
+
+test('build: missing translations fail the page when the project asks for it', async () => {
+    await withTmpDir(async (dir) => {
+        const srcPath = path.join(dir, 'src');
+        const outputPath = path.join(dir, '_site');
+
+        writeFixture(srcPath, 'test-campaign/_locales/en.json', '{ "cta": "Buy" }');
+        writeFixture(srcPath, 'test-campaign/_locales/fr.json', '{}');
+        writeFixture(srcPath, 'test-campaign/index.html', '---\n---\n{{ "cta" | t }}');
+
+        const { built, errors, pages } = await build({
+            srcPath, outputPath,
+            campaigns: { 'test-campaign': { name: 'Test Campaign' } },
+            config: { validation: { translations: 'error' } },
+        });
+
+        assert.equal(built, 1);
+        assert.equal(errors, 1);
+        assert.equal(pages.find(p => p.error).url, '/test-campaign/fr/');
+        assert.ok(fs.existsSync(path.join(outputPath, 'test-campaign', 'index.html')));
+        assert.ok(!fs.existsSync(path.join(outputPath, 'test-campaign', 'fr', 'index.html')));
+    });
+});
+
+// ---------------------------------------------------------------------------
+// build() — missing assets
+// ---------------------------------------------------------------------------
+
+test('build: reports missing assets with the file and line that reference them', async () => {
+    await withTmpDir(async (dir) => {
+        const srcPath = path.join(dir, 'src');
+        const outputPath = path.join(dir, '_site');
+
+        writeFixture(srcPath, 'test-campaign/assets/css/app.css', 'body {}');
+        writeFixture(srcPath, 'test-campaign/_layouts/base.html', [
+            '---', 'footer: true', '---',
+            '<link href="{{ "css/app.css" | campaign_asset }}">',
+            '<script src="{{ "js/aap.js" | campaign_asset }}"></script>',
+            '{{ content }}',
+        ].join('\n'));
+        writeFixture(srcPath, 'test-campaign/_includes/hero.html', '\n<img src="{{ hero | campaign_asset }}">');
+        writeFixture(srcPath, 'test-campaign/index.html', [
+            '---',
+            'title: Home',
+            'page_type: product',
+            'hero: images/hero.jpg',
+            'styles:',
+            '  - https://cdn.example.com/lib.css',
+            '  - css/app.css',
+            '  - css/offer.css',
+            '---',
+            '<p>hi</p>',
+            '{% campaign_include "hero.html" hero=hero %}',
+            '<img src="{{ "https://cdn.example.com/a.png" | campaign_asset }}">',
+        ].join('\n'));
+
+        const { built, warnings } = await build({ srcPath, outputPath, campaigns: { 'test-campaign': { name: 'Test Campaign' } } });
+
+        assert.equal(built, 1);
+        const missing = warnings.filter(w => w.message.startsWith('missing asset'));
+        assert.deepEqual(missing.map(w => w.message).sort(), [
+            'missing asset css/offer.css (test-campaign/index.html:8)',
+            'missing asset images/hero.jpg (test-campaign/_includes/hero.html:2)',
+            'missing asset js/aap.js (test-campaign/_layouts/base.html:5)',
+        ]);
+        assert.ok(missing.every(w => w.file === 'test-campaign/index.html'));
+    });
+});
+
+test('build: missing assets fail the page when the project asks for it', async () => {
+    await withTmpDir(async (dir) => {
+        const srcPath = path.join(dir, 'src');
+        const outputPath = path.join(dir, '_site');
+
+        writeFixture(srcPath, 'test-campaign/index.html',
+            '---\ntitle: Home\npage_type: product\n---\n\n<img src="{{ \'images/logo.png\' | campaign_asset }}">');
+
+        const { errors, pages } = await build({
+            srcPath, outputPath,
+            campaigns: { 'test-campaign': { name: 'Test Campaign' } },
+            config: { validation: { assets: 'error' } },
+        });
+
+        assert.equal(errors, 1);
+        assert.equal(pages[0].error, 'missing asset images/logo.png (test-campaign/index.html:6)');
+        assert.ok(!fs.existsSync(path.join(outputPath, 'test-campaign', 'index.html')));
+    });
+});
+
+test('build: a referenced asset is a dependency, so adding it rebuilds the page', async () => {
+    await withTmpDir(async (dir) => {
+        const srcPath = path.join(dir, 'src');
+        const outputPath = path.join(dir, '_site');
+        const graph = createDependencyGraph();
+
+        writeFixture(srcPath, 'test-campaign/index.html',
+            '---\ntitle: Home\npage_type: product\nscripts: [js/app.js]\n---\n{{ "images/logo.png" | campaign_asset }}');
+
+        await build({ srcPath, outputPath, graph, campaigns: { 'test-campaign': { name: 'Test Campaign' } } });
+
+        const assets = path.join(srcPath, 'test-campaign', 'assets');
+        assert.deepEqual(graph.dependentsOf(path.join(assets, 'images', 'logo.png')), ['test-campaign/index.html']);
+        assert.deepEqual(graph.dependentsOf(path.join(assets, 'js', 'app.js')), ['test-campaign/index.html']);
+    });
+});
+
+// ---------------------------------------------------------------------------
+// build() — responsive images
+// ---------------------------------------------------------------------------
+
+async function writeImage(base, relPath, width, height) {
+    const sharp = require('sharp');
+    const full = path.join(base, relPath);
+    fs.mkdirSync(path.dirname(full), { recursive: true });
+    await sharp({ create: { width, height, channels: 3, background: '#3366ff' } }).png().toFile(full);
+}
+
+test('build: campaign_image writes resized copies and a <picture> with srcset', async () => {
+    await withTmpDir(async (dir) => {
+        const srcPath = path.join(dir, 'src');
+        const outputPath = path.join(dir, '_site');
+        const cachePath = path.join(dir, 'cache');
+
+        await writeImage(srcPath, 'test-campaign/assets/images/hero.png', 200, 100);
+        writeFixture(srcPath, 'test-campaign/index.html', [
+            '---', 'title: Home', 'page_type: product', '---',
+            '{% campaign_image \'images/hero.png\' widths="50,100,400" alt=\'A "hero" & co\' class="hero" loading="lazy" %}',
+        ].join('\n'));
+        const campaigns = { 'test-campaign': { name: 'Test Campaign' } };
+
+        const { built, warnings } = await build({ srcPath, outputPath, cachePath, campaigns });
+
+        assert.equal(built, 1);
+        assert.deepEqual(warnings, []);
+        const hash = hashContent(fs.readFileSync(path.join(srcPath, 'test-campaign/assets/images/hero.png'))).slice(0, 8);
+        const copy = (w, ext) => `/test-campaign/images/hero-${w}w.${hash}.${ext}`;
+        const html = fs.readFileSync(path.join(outputPath, 'test-campaign', 'index.html'), 'utf8');
+        assert.equal(html, '<picture>'
+            + `<source type="image/avif" srcset="${copy(50, 'avif')} 50w, ${copy(100, 'avif')} 100w" sizes="100vw">`
+            + `<source type="image/webp" srcset="${copy(50, 'webp')} 50w, ${copy(100, 'webp')} 100w" sizes="100vw">`
+            + `<img src="${copy(100, 'png')}" srcset="${copy(50, 'png')} 50w, ${copy(100, 'png')} 100w" sizes="100vw"`
+            + ' width="100" height="50" alt="A &quot;hero&quot; &amp; co" class="hero" loading="lazy">'
+            + '</picture>');
+
+        const sharp = require('sharp');
+        const meta = await sharp(path.join(outputPath, copy(50, 'webp'))).metadata();
+        assert.deepEqual([meta.format, meta.width, meta.height], ['webp', 50, 25]);
+
+        const manifest = JSON.parse(fs.readFileSync(path.join(outputPath, '.campaign-manifest.json'), 'utf8'));
+        const outputs = manifest.campaigns['test-campaign'].assets.map(a => a.output);
+        assert.equal(outputs.length, 7);
+        assert.ok(outputs.includes(copy(100, 'avif').slice(1)));
+
+        // Later builds copy from the cache rather than encoding again
+        const cached = fs.readdirSync(path.join(cachePath, 'images')).find(f => f.endsWith('-50w.webp'));
+        fs.writeFileSync(path.join(cachePath, 'images', cached), 'cached');
+        fs.rmSync(outputPath, { recursive: true });
+        await build({ srcPath, outputPath, cachePath, campaigns });
+        assert.equal(fs.readFileSync(path.join(outputPath, copy(50, 'webp')), 'utf8'), 'cached');
+
+        // A cleared cache is filled again
+        fs.rmSync(cachePath, { recursive: true });
+        const rebuilt = await build({ srcPath, outputPath, cachePath, campaigns });
+        assert.equal(rebuilt.errors, 0);
+        assert.ok(fs.readdirSync(path.join(cachePath, 'images')).some(f => f.endsWith('-50w.webp')));
+    });
+});
+
+test('build: campaign_image falls back to <img> for images it cannot resize and needs alt', async () => {
+    await withTmpDir(async (dir) => {
+        const srcPath = path.join(dir, 'src');
+        const outputPath = path.join(dir, '_site');
+
+        writeFixture(srcPath, 'test-campaign/assets/images/logo.svg', '<svg xmlns="http://www.w3.org/2000/svg"/>');
+        writeFixture(srcPath, 'test-campaign/index.html',
+            '---\ntitle: Home\npage_type: product\nlogo: images/logo.svg\n---\n{% campaign_image logo alt="" %}');
+        writeFixture(srcPath, 'test-campaign/bad.html',
+            '---\ntitle: Bad\npage_type: product\n---\n{% campaign_image \'images/logo.svg\' %}');
+
+        const { pages } = await build({
+            srcPath, outputPath, cachePath: path.join(dir, 'cache'),
+            campaigns: { 'test-campaign': { name: 'Test Campaign' } },
+            config: { frontmatter: { logo: { type: 'string' } } },
+        });
+
+        assert.equal(fs.readFileSync(path.join(outputPath, 'test-campaign', 'index.html'), 'utf8'),
+            '<img src="/test-campaign/images/logo.svg" alt="">');
+        assert.match(pages.find(p => p.file === 'test-campaign/bad.html').error, /alt is required/);
+    });
+});
+
+// ---------------------------------------------------------------------------
+// build() — inlined assets
+// ---------------------------------------------------------------------------
+
+test('build: campaign_inline inlines CSS, JavaScript, SVG and images', async () => {
+    await withTmpDir(async (dir) => {
+        const srcPath = path.join(dir, 'src');
+        const outputPath = path.join(dir, '_site');
+        const graph = createDependencyGraph();
+
+        writeFixture(srcPath, 'test-campaign/assets/css/critical.css',
+            'body { background: url(../images/bg.png) } .x { background: url("https://cdn.example.com/a.png") }');
+        writeFixture(srcPath, 'test-campaign/assets/js/boot.js', 'document.write("</script>");');
+        writeFixture(srcPath, 'test-campaign/assets/icons/check.svg',
+            '<?xml version="1.0"?>\n<svg xmlns="http://www.w3.org/2000/svg"><path d="M0 0"/></svg>\n');
+        writeFixture(srcPath, 'test-campaign/assets/images/dot.gif', 'GIF89a');
+        writeFixture(srcPath, 'test-campaign/index.html', [
+            '---', 'title: Home', 'page_type: product', 'icon: icons/check.svg', '---',
+            '{% campaign_inline \'css/critical.css\' %}',
+            '{% campaign_inline "js/boot.js" type="module" %}',
+            '{% campaign_inline icon class="icon" aria-hidden="true" %}',
+            '<img src="{% campaign_inline \'images/dot.gif\' %}">',
+        ].join('\n'));
+
+        const { built } = await build({
+            srcPath, outputPath, graph,
+            campaigns: { 'test-campaign': { name: 'Test Campaign' } },
+            config: { frontmatter: { icon: { type: 'string' } } },
+        });
+
+        assert.equal(built, 1);
+        assert.equal(fs.readFileSync(path.join(outputPath, 'test-campaign', 'index.html'), 'utf8'), [
+            '<style>body { background: url(/test-campaign/images/bg.png) } .x { background: url("https://cdn.example.com/a.png") }</style>',
+            '<script type="module">document.write("<\\/script>");</script>',
+            '<svg class="icon" aria-hidden="true" xmlns="http://www.w3.org/2000/svg"><path d="M0 0"/></svg>',
+            `<img src="data:image/gif;base64,${Buffer.from('GIF89a').toString('base64')}">`,
+        ].join('\n'));
+
+        // Inlined files are dependencies, and a changed file is read again
+        const css = path.join(srcPath, 'test-campaign', 'assets', 'css', 'critical.css');
+        assert.deepEqual(graph.dependentsOf(css), ['test-campaign/index.html']);
+        fs.writeFileSync(css, 'p { color: red }');
+        await build({ srcPath, outputPath, campaigns: { 'test-campaign': { name: 'Test Campaign' } },
+            config: { frontmatter: { icon: { type: 'string' } } } });
+        assert.match(fs.readFileSync(path.join(outputPath, 'test-campaign', 'index.html'), 'utf8'), /^<style>p \{ color: red \}<\/style>/);
+    });
+});
+
+test('build: campaign_inline fails the page for missing and unsupported files', async () => {
+    await withTmpDir(async (dir) => {
+        const srcPath = path.join(dir, 'src');
+        const outputPath = path.join(dir, '_site');
+
+        writeFixture(srcPath, 'test-campaign/assets/fonts/a.woff2', 'wOF2');
+        writeFixture(srcPath, 'test-campaign/missing.html',
+            '---\ntitle: Missing\npage_type: product\n---\n{% campaign_inline \'css/nope.css\' %}');
+        writeFixture(srcPath, 'test-campaign/font.html',
+            '---\ntitle: Font\npage_type: product\n---\n{% campaign_inline \'fonts/a.woff2\' %}');
+
+        const { pages, errors } = await build({ srcPath, outputPath, campaigns: { 'test-campaign': { name: 'Test Campaign' } } });
+
+        assert.equal(errors, 2);
+        assert.match(pages.find(p => p.file === 'test-campaign/missing.html').error, /css\/nope.css not found in test-campaign\/assets\//);
+        assert.match(pages.find(p => p.file === 'test-campaign/font.html').error, /cannot inline \.woff2 files/);
+    });
+});
+
+// ---------------------------------------------------------------------------
+// build() — subresource integrity
+// ---------------------------------------------------------------------------
+
+test('build: campaign_integrity hashes campaign assets and reads external URLs from the lockfile', async () => {
+    await withTmpDir(async (dir) => {
+        const srcPath = path.join(dir, 'src');
+        const outputPath = path.join(dir, '_site');
+        const lockPath = path.join(dir, 'integrity.lock.json');
+        const swiper = 'https://cdn.example.com/swiper.js';
+
+        writeFixture(srcPath, 'test-campaign/assets/js/offer.js', 'console.log("offer")');
+        writeFixture(dir, 'vendor/swiper.js', 'swiper');
+        fs.writeFileSync(lockPath, JSON.stringify({ [swiper]: integrityOf('swiper') }));
+        writeFixture(srcPath, 'test-campaign/_layouts/base.html',
+            '{% for src in scripts %}<script src="{{ src | campaign_asset }}" integrity="{{ src | campaign_integrity }}"></script>{% endfor %}');
+        writeFixture(srcPath, 'test-campaign/index.html',
+            `---\ntitle: Home\npage_type: product\nscripts:\n  - ${swiper}\n  - js/offer.js\n---\n`);
+        writeFixture(srcPath, 'test-campaign/unlocked.html',
+            '---\ntitle: Unlocked\npage_type: product\nscripts: [https://cdn.example.com/other.js]\n---\n');
+        const opts = {
+            srcPath, outputPath, lockPath,
+            campaigns: { 'test-campaign': { name: 'Test Campaign' } },
+            config: { integrity: { [swiper]: path.join(dir, 'vendor/swiper.js') } },
+        };
+
+        const { pages } = await build(opts);
+
+        assert.equal(fs.readFileSync(path.join(outputPath, 'test-campaign', 'index.html'), 'utf8'),
+            `<script src="${swiper}" integrity="${integrityOf('swiper')}"></script>`
+            + `<script src="/test-campaign/js/offer.js" integrity="${integrityOf('console.log("offer")')}"></script>`);
+        assert.match(pages.find(p => p.file === 'test-campaign/unlocked.html').error, /other.js has no hash in integrity.lock.json/);
+
+        // A local copy that no longer matches the lock fails the pages using it
+        fs.writeFileSync(path.join(dir, 'vendor/swiper.js'), 'swiper 2');
+        const { errors, pages: rebuilt } = await build(opts);
+        assert.equal(errors, 2);
+        assert.match(rebuilt.find(p => p.file === 'test-campaign/index.html').error, /does not match its hash/);
+    });
+});
+
+// ---------------------------------------------------------------------------
+// build() — Content Security Policy
+// ---------------------------------------------------------------------------
+
+test('build: adds each campaign\'s Content Security Policy to its pages, _headers and the manifest', async () => {
+    await withTmpDir(async (dir) => {
+        const srcPath = path.join(dir, 'src');
+        const outputPath = path.join(dir, '_site');
+
+        writeFixture(srcPath, 'test-campaign/_layouts/base.html',
+            '<html><head><script src="{{ \'config.js\' | campaign_asset }}"></script></head><body>{{ content }}</body></html>');
+        writeFixture(srcPath, 'test-campaign/index.html',
+            '---\ntitle: Home\npage_type: product\n---\n<script src="https://cdn.example.com/sdk.js"></script>');
+        writeFixture(srcPath, 'test-campaign/video.html',
+            '---\ntitle: Video\npage_type: product\n---\n<iframe src="https://www.youtube.com/embed/x"></iframe>');
+        writeFixture(srcPath, 'other/index.html', '---\ntitle: Other\npage_type: product\n---\n<script>go()</script>');
+
+        await build({
+            srcPath, outputPath,
+            campaigns: {
+                'test-campaign': { name: 'Test Campaign', csp: { headers: true, allow: { 'connect-src': ['https://api.example.com'] } } },
+                other: { name: 'Other', csp: { report_only: true, headers: true } },
+            },
+            config: { csp: { allow: { 'img-src': ['data:'] } } },
+        });
+
+        const policy = "default-src 'self'; script-src 'self' https://cdn.example.com; img-src data:; "
+            + "connect-src https://api.example.com; frame-src https://www.youtube.com; base-uri 'self'; object-src 'none'";
+        const meta = `<meta http-equiv="Content-Security-Policy" content="${policy}">`;
+        const html = fs.readFileSync(path.join(outputPath, 'test-campaign', 'index.html'), 'utf8');
+        assert.equal(html, `<html><head>${meta}<script src="/test-campaign/config.js"></script></head>`
+            + '<body><script src="https://cdn.example.com/sdk.js"></script></body></html>');
+
+        // Report-only policies are only sent as a header
+        assert.equal(fs.readFileSync(path.join(outputPath, 'other', 'index.html'), 'utf8'), '<script>go()</script>');
+        const headers = fs.readFileSync(path.join(outputPath, '_headers'), 'utf8');
+        assert.match(headers, new RegExp(`/test-campaign/\\*\\n  Content-Security-Policy: ${policy.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}\\n`));
+        assert.match(headers, /\/other\/\*\n {2}Content-Security-Policy-Report-Only: default-src 'self'; script-src 'sha256-/);
+
+        const manifest = JSON.parse(fs.readFileSync(path.join(outputPath, '.campaign-manifest.json'), 'utf8'));
+        assert.equal(manifest.campaigns['test-campaign'].csp, policy);
+        const page = manifest.campaigns['test-campaign'].pages.find(p => p.source === 'test-campaign/index.html');
+        assert.equal(page.hash, hashContent(html));
+    });
+});
+
+test('build: partial rebuilds and builds without csp leave pages alone', async () => {
+    await withTmpDir(async (dir) => {
+        const srcPath = path.join(dir, 'src');
+        const outputPath = path.join(dir, '_site');
+        const campaigns = { 'test-campaign': { name: 'Test Campaign', csp: {} } };
+        writeFixture(srcPath, 'test-campaign/index.html', '---\ntitle: Home\npage_type: product\n---\n<html><head></head></html>');
+
+        await build({ srcPath, outputPath, campaigns, files: ['test-campaign/index.html'] });
+        assert.equal(fs.readFileSync(path.join(outputPath, 'test-campaign', 'index.html'), 'utf8'), '<html><head></head></html>');
+
+        await build({ srcPath, outputPath, campaigns, csp: false });
+        assert.equal(fs.readFileSync(path.join(outputPath, 'test-campaign', 'index.html'), 'utf8'), '<html><head></head></html>');
+        assert.ok(!fs.existsSync(path.join(outputPath, '_headers')));
+    });
+});
+
+test('build: removes the _headers entry of a campaign that no longer sends its policy as a header', async () => {
+    await withTmpDir(async (dir) => {
+        const srcPath = path.join(dir, 'src');
+        const outputPath = path.join(dir, '_site');
+        writeFixture(srcPath, 'test-campaign/index.html', '---\ntitle: Home\npage_type: product\n---\n<p>Home</p>');
+        writeFixture(srcPath, 'other/index.html', '---\ntitle: Other\npage_type: product\n---\n<p>Other</p>');
+        const headersFile = path.join(outputPath, '_headers');
+
+        await build({
+            srcPath, outputPath,
+            campaigns: {
+                'test-campaign': { name: 'Test Campaign', csp: { headers: true } },
+                other: { name: 'Other', csp: { headers: true } },
+            },
+        });
+        assert.match(fs.readFileSync(headersFile, 'utf8'), /# campaign-csp: test-campaign\n/);
+
+        // A build without csp keeps the entries
+        await build({ srcPath, outputPath, campaigns: { 'test-campaign': { name: 'Test Campaign' } }, csp: false });
+        assert.match(fs.readFileSync(headersFile, 'utf8'), /# campaign-csp: test-campaign\n/);
+
+        await build({
+            srcPath, outputPath,
+            campaigns: { 'test-campaign': { name: 'Test Campaign' }, other: { name: 'Other', csp: { headers: false } } },
+        });
+        assert.equal(fs.readFileSync(headersFile, 'utf8'), '');
+    });
+});
@@ -10,8 +10,12 @@ const {
     getSrcPath,
     getOutputPath,
     loadCampaigns,
+    loadProjectConfig,
+    resolveEnvironment,
+    getEnvironmentCampaignsPath,
     saveCampaigns,
     campaignsArray,
+    selectCampaigns,
     getConfig,
 } = require('../lib/config');
 
@@ -67,6 +71,24 @@ test('campaignsArray: returns empty array for empty object', () => {
     assert.deepEqual(campaignsArray({}), []);
 });
 
+// ---------------------------------------------------------------------------
+// selectCampaigns — pure selection
+// ---------------------------------------------------------------------------
+
+test('selectCampaigns: picks campaigns by slug and glob', () => {
+    const campaigns = {
+        starter: { name: 'Starter' },
+        'olympus-v1': { name: 'Olympus V1' },
+        'olympus-v2': { name: 'Olympus V2' },
+    };
+    assert.deepEqual(selectCampaigns(campaigns, ['starter']), { starter: { name: 'Starter' } });
+    assert.deepEqual(Object.keys(selectCampaigns(campaigns, ['olympus-*'])), ['olympus-v1', 'olympus-v2']);
+});
+
+test('selectCampaigns: throws when a pattern matches nothing', () => {
+    assert.throws(() => selectCampaigns({ starter: {} }, ['startr']), /No campaign matches "startr"/);
+});
+
 // ---------------------------------------------------------------------------
 // loadCampaigns / saveCampaigns — filesystem
 // ---------------------------------------------------------------------------
@@ -94,6 +116,17 @@ test('loadCampaigns: throws when file does not exist', () => {
     );
 });
 
+test('loadProjectConfig: returns an empty object when the file does not exist', () => {
+    assert.deepEqual(loadProjectConfig('/nonexistent/campaign.config.json'), {});
+});
+
+test('loadProjectConfig: reads and parses campaign.config.json', async () => {
+    await withTmpFile((file) => {
+        fs.writeFileSync(file, JSON.stringify({ validation: { permalinks: 'warn' } }), 'utf8');
+        assert.deepEqual(loadProjectConfig(file), { validation: { permalinks: 'warn' } });
+    });
+});
+
 test('saveCampaigns: writes campaigns to disk as formatted JSON', async () => {
     await withTmpFile((file) => {
         const data = { 'my-campaign': { name: 'My Campaign' } };
@@ -103,6 +136,70 @@ test('saveCampaigns: writes campaigns to disk as formatted JSON', async () => {
     });
 });
 
+// ---------------------------------------------------------------------------
+// resolveEnvironment — environment overrides
+// ---------------------------------------------------------------------------
+
+function withTmpCampaigns(campaigns, envFiles, fn) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'campaigns-env-test-'));
+    const file = path.join(dir, 'campaigns.json');
+    fs.writeFileSync(file, JSON.stringify(campaigns), 'utf8');
+    for (const [env, overrides] of Object.entries(envFiles)) {
+        fs.writeFileSync(getEnvironmentCampaignsPath(env, file), JSON.stringify(overrides), 'utf8');
+    }
+    return Promise.resolve(fn(file)).finally(() => fs.rmSync(dir, { recursive: true, force: true }));
+}
+
+const ENV_CAMPAIGNS = {
+    starter: {
+        name: 'Starter',
+        store: { api_key: 'live-key', currency: 'USD' },
+        tracking: { ga: 'G-LIVE', pixels: ['a', 'b'] },
+        environments: { staging: { store: { api_key: 'test-key' } } },
+    },
+};
+
+test('getEnvironmentCampaignsPath: sits next to campaigns.json', () => {
+    assert.equal(getEnvironmentCampaignsPath('staging', '/p/_data/campaigns.json'), '/p/_data/campaigns.staging.json');
+});
+
+test('resolveEnvironment: deep-merges inline blocks, then the environment file', async () => {
+    await withTmpCampaigns(ENV_CAMPAIGNS, { staging: { starter: { tracking: { ga: 'G-TEST', pixels: ['c'] } } } }, (file) => {
+        const resolved = resolveEnvironment(loadCampaigns(file), 'staging', file);
+        assert.deepEqual(resolved.starter, {
+            name: 'Starter',
+            store: { api_key: 'test-key', currency: 'USD' },
+            tracking: { ga: 'G-TEST', pixels: ['c'] },
+        });
+    });
+});
+
+test('resolveEnvironment: without an environment only drops the override blocks', async () => {
+    await withTmpCampaigns(ENV_CAMPAIGNS, {}, (file) => {
+        const resolved = resolveEnvironment(loadCampaigns(file), undefined, file);
+        assert.equal(resolved.starter.store.api_key, 'live-key');
+        assert.equal(resolved.starter.environments, undefined);
+    });
+});
+
+test('resolveEnvironment: rejects unknown campaigns and invalid names', async () => {
+    await withTmpCampaigns(ENV_CAMPAIGNS, { staging: { startr: { name: 'Typo' } } }, (file) => {
+        assert.throws(() => resolveEnvironment(loadCampaigns(file), 'staging', file),
+            /campaigns\.staging\.json overrides unknown campaign "startr"/);
+        assert.throws(() => resolveEnvironment(loadCampaigns(file), '../prod', file), /Invalid environment name/);
+    });
+});
+
+test('resolveEnvironment: rejects environments with no overrides anywhere', async () => {
+    await withTmpCampaigns(ENV_CAMPAIGNS, { preview: {} }, (file) => {
+        assert.throws(() => resolveEnvironment(loadCampaigns(file), 'stagng', file),
+            /Unknown environment "stagng": no campaign has an environments\.stagng block and campaigns\.stagng\.json does not exist/);
+        // Either source is enough, even when it overrides nothing
+        assert.equal(resolveEnvironment(loadCampaigns(file), 'staging', file).starter.store.api_key, 'test-key');
+        assert.equal(resolveEnvironment(loadCampaigns(file), 'preview', file).starter.store.api_key, 'live-key');
+    });
+});
+
 // ---------------------------------------------------------------------------
 // getConfig
 // ---------------------------------------------------------------------------
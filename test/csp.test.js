@@ -0,0 +1,139 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const os = require('os');
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const {
+    resolveCsp, urlSource, scanHtml, buildPolicy, injectMeta, headersBlock, updateHeaders,
+} = require('../lib/engine/csp');
+
+// ---------------------------------------------------------------------------
+// Helpers
+// ---------------------------------------------------------------------------
+
+function sha256(content) {
+    return `'sha256-${crypto.createHash('sha256').update(content).digest('base64')}'`;
+}
+
+const DEFAULTS = { meta: true, headers: false, reportOnly: false, reportUri: null, allow: {} };
+
+// ---------------------------------------------------------------------------
+// resolveCsp — pure unit tests
+// ---------------------------------------------------------------------------
+
+test('resolveCsp: is off unless the project or the campaign sets csp', () => {
+    assert.equal(resolveCsp({}, { slug: 'starter' }), null);
+    assert.equal(resolveCsp({ csp: {} }, { slug: 'starter', csp: false }), null);
+    assert.deepEqual(resolveCsp({}, { slug: 'starter', csp: {} }), DEFAULTS);
+});
+
+test('resolveCsp: the campaign extends the project allowlist and overrides its options', () => {
+    const settings = { csp: { headers: true, allow: { 'connect-src': ['https://api.example.com'] } } };
+    const campaign = { slug: 'starter', csp: { report_only: true, allow: { 'connect-src': ['https://pixel.example.com'] } } };
+    assert.deepEqual(resolveCsp(settings, campaign), {
+        ...DEFAULTS, headers: true, reportOnly: true,
+        allow: { 'connect-src': ['https://api.example.com', 'https://pixel.example.com'] },
+    });
+});
+
+test('resolveCsp: rejects malformed settings', () => {
+    assert.throws(() => resolveCsp({ csp: true }, { slug: 'starter' }), /campaign.config.json: "csp" must be an object/);
+    assert.throws(() => resolveCsp({}, { slug: 'starter', csp: { meta: 'yes' } }), /campaign "starter": csp.meta must be true or false/);
+    assert.throws(() => resolveCsp({ csp: { allow: { 'img-src': 'https://a.com' } } }, { slug: 'starter' }), /must be a list of sources/);
+    assert.throws(() => resolveCsp({ csp: { meta: false } }, { slug: 'starter' }), /needs meta or headers enabled/);
+});
+
+// ---------------------------------------------------------------------------
+// Scanning — pure unit tests
+// ---------------------------------------------------------------------------
+
+test('urlSource: maps URLs to the source a policy needs', () => {
+    assert.equal(urlSource('/starter/js/app.js'), "'self'");
+    assert.equal(urlSource('js/app.js'), "'self'");
+    assert.equal(urlSource('https://cdn.example.com/a/b.js?v=1'), 'https://cdn.example.com');
+    assert.equal(urlSource('//cdn.example.com/b.js'), 'https://cdn.example.com');
+    assert.equal(urlSource('data:image/png;base64,AAAA'), 'data:');
+    assert.equal(urlSource('#top'), null);
+    assert.equal(urlSource('about:blank'), null);
+});
+
+test('scanHtml: finds what the page loads and hashes its inline code', () => {
+    const inlineScript = 'window.dataLayer = [];';
+    const html = [
+        '<head>',
+        '<link rel="stylesheet" href="https://cdn.jsdelivr.net/npm/swiper@11/swiper-bundle.min.css">',
+        '<link rel="preload" as="font" href="https://fonts.example.com/a.woff2">',
+        '<script src="/starter/config.js"></script>',
+        '<script src="https://cdn.example.com/sdk.js" async></script>',
+        `<script>${inlineScript}</script>`,
+        '<script type="application/ld+json">{"@type": "Product"}</script>',
+        '<style>body { margin: 0 }</style>',
+        '</head><body>',
+        '<!-- <img src="https://commented.example.com/a.png"> -->',
+        '<img src="https://img.example.com/a.png" srcset="/starter/a-1x.png 1x, https://img2.example.com/a.png 2x" style="color: red">',
+        '<iframe src="https://www.youtube.com/embed/x"></iframe>',
+        '<button onclick="go(&quot;x&quot;)">Go</button>',
+        '<script>document.write("<img src=https://inside.example.com/x.png>")</script>',
+        '</body>',
+    ].join('\n');
+
+    assert.deepEqual(scanHtml(html), {
+        'script-src': ["'self'", 'https://cdn.example.com', sha256(inlineScript),
+            sha256('document.write("<img src=https://inside.example.com/x.png>")'), "'unsafe-hashes'", sha256('go("x")')],
+        'style-src': [sha256('body { margin: 0 }'), 'https://cdn.jsdelivr.net', "'unsafe-hashes'", sha256('color: red')],
+        'font-src': ['https://fonts.example.com'],
+        'img-src': ['https://img.example.com', "'self'", 'https://img2.example.com'],
+        'frame-src': ['https://www.youtube.com'],
+    });
+});
+
+// ---------------------------------------------------------------------------
+// Policies — pure unit tests
+// ---------------------------------------------------------------------------
+
+test('buildPolicy: combines scans and the allowlist in a stable order', () => {
+    const scans = [
+        { 'script-src': ["'self'", sha256('a()')], 'img-src': ['data:'] },
+        { 'script-src': ['https://cdn.example.com', "'self'"] },
+    ];
+    const csp = { ...DEFAULTS, reportUri: 'https://report.example.com/csp', allow: { 'connect-src': ['https://api.example.com'], 'object-src': ['https://x.com'] } };
+    assert.equal(buildPolicy(scans, csp), [
+        "default-src 'self'",
+        `script-src 'self' https://cdn.example.com ${sha256('a()')}`,
+        'img-src data:',
+        'connect-src https://api.example.com',
+        "base-uri 'self'",
+        'object-src https://x.com',
+        'report-uri https://report.example.com/csp',
+    ].join('; '));
+});
+
+test('injectMeta: adds the policy at the start of <head>, without header-only directives', () => {
+    const policy = "default-src 'self'; frame-ancestors 'none'; report-uri https://r.example.com";
+    assert.equal(injectMeta('<html><head lang="en"><title>x</title></head></html>', policy),
+        '<html><head lang="en"><meta http-equiv="Content-Security-Policy" content="default-src \'self\'"><title>x</title></head></html>');
+    assert.equal(injectMeta('<p>fragment</p>', policy), '<p>fragment</p>');
+});
+
+test('updateHeaders: replaces the campaigns\' entries and keeps the rest of _headers', () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'next-campaign-test-'));
+    try {
+        const file = path.join(dir, '_headers');
+        fs.writeFileSync(file, '/*\n  X-Frame-Options: DENY\n');
+        updateHeaders(file, {
+            starter: headersBlock('starter', "default-src 'self'", { reportOnly: false, scope: '/offers/starter/' }),
+            other: headersBlock('other', "default-src 'none'", { reportOnly: true, scope: '/other/' }),
+        });
+        updateHeaders(file, { starter: headersBlock('starter', "default-src 'self' data:", { reportOnly: false, scope: '/starter/' }) });
+
+        assert.equal(fs.readFileSync(file, 'utf8'), [
+            '/*', '  X-Frame-Options: DENY', '',
+            '# campaign-csp: other', '/other/*', "  Content-Security-Policy-Report-Only: default-src 'none'", '',
+            '# campaign-csp: starter', '/starter/*', "  Content-Security-Policy: default-src 'self' data:", '',
+        ].join('\n'));
+    } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+});
@@ -0,0 +1,33 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { createDependencyGraph } = require('../lib/engine/deps');
+
+// ---------------------------------------------------------------------------
+// createDependencyGraph — pure unit tests
+// ---------------------------------------------------------------------------
+
+test('createDependencyGraph: finds the pages that depend on a file', () => {
+    const graph = createDependencyGraph();
+    graph.record('a/index.html', ['/src/a/_layouts/base.html', '/src/a/_includes/footer.html']);
+    graph.record('a/checkout.html', ['/src/a/_layouts/base.html']);
+    assert.deepEqual(graph.dependentsOf('/src/a/_layouts/base.html'), ['a/index.html', 'a/checkout.html']);
+    assert.deepEqual(graph.dependentsOf('/src/a/_includes/footer.html'), ['a/index.html']);
+    assert.deepEqual(graph.dependentsOf('/src/a/_includes/unused.html'), []);
+});
+
+test('createDependencyGraph: record replaces previous dependencies of a page', () => {
+    const graph = createDependencyGraph();
+    graph.record('a/index.html', ['/src/a/_includes/old.html']);
+    graph.record('a/index.html', ['/src/a/_includes/new.html']);
+    assert.deepEqual(graph.dependentsOf('/src/a/_includes/old.html'), []);
+    assert.deepEqual(graph.dependenciesOf('a/index.html'), ['/src/a/_includes/new.html']);
+});
+
+test('createDependencyGraph: forget removes a page', () => {
+    const graph = createDependencyGraph();
+    graph.record('a/index.html', ['/src/a/_layouts/base.html']);
+    graph.forget('a/index.html');
+    assert.deepEqual(graph.pages(), []);
+    assert.deepEqual(graph.dependentsOf('/src/a/_layouts/base.html'), []);
+});
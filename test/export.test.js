@@ -0,0 +1,209 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const os = require('os');
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const crypto = require('crypto');
+
+const { parseExportArgs } = require('../lib/actions/export');
+const { createTarball } = require('../lib/engine/archive');
+const { rewriteBasePath, exportCampaigns } = require('../lib/engine/export');
+const { normalizeBasePath } = require('../lib/engine/urls');
+const { hashContent } = require('../lib/engine/assets');
+const { integrityOf } = require('../lib/engine/integrity');
+
+// ---------------------------------------------------------------------------
+// Helpers
+// ---------------------------------------------------------------------------
+
+function withTmpDir(fn) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'next-campaign-test-'));
+    return fn(dir).finally(() => fs.rmSync(dir, { recursive: true, force: true }));
+}
+
+function writeFixture(base, relPath, content) {
+    const full = path.join(base, relPath);
+    fs.mkdirSync(path.dirname(full), { recursive: true });
+    fs.writeFileSync(full, content, 'utf8');
+}
+
+// Read a .tar.gz back into { [name]: content }
+function readTarball(buffer) {
+    const tar = zlib.gunzipSync(buffer);
+    const files = {};
+    for (let offset = 0; offset < tar.length && tar[offset] !== 0;) {
+        const field = (start, length) => tar.subarray(offset + start, offset + start + length).toString().replace(/\0.*$/s, '');
+        const prefix = field(345, 155);
+        const name = prefix ? `${prefix}/${field(0, 100)}` : field(0, 100);
+        const size = parseInt(field(124, 12), 8);
+        files[name] = tar.subarray(offset + 512, offset + 512 + size).toString();
+        offset += 512 + Math.ceil(size / 512) * 512;
+    }
+    return files;
+}
+
+// ---------------------------------------------------------------------------
+// parseExportArgs — pure unit tests
+// ---------------------------------------------------------------------------
+
+test('parseExportArgs: reads campaigns, output directory and base path', () => {
+    const args = parseExportArgs(['--campaign', 'a,b', '--out', 'dist', '--base-path', '/offers/', '--env', 'prod']);
+    assert.deepEqual(args.campaigns, ['a', 'b']);
+    assert.equal(args.exportPath, 'dist');
+    assert.equal(args.basePath, '/offers/');
+    assert.equal(args.env, 'prod');
+    assert.equal(args.fingerprint, false);
+});
+
+test('parseExportArgs: rejects unknown options', () => {
+    assert.throws(() => parseExportArgs(['--zip']), /Unknown option/);
+});
+
+// ---------------------------------------------------------------------------
+// Base path rewriting — pure unit tests
+// ---------------------------------------------------------------------------
+
+test('normalizeBasePath: adds leading and trailing slashes', () => {
+    assert.equal(normalizeBasePath('offers'), '/offers/');
+    assert.equal(normalizeBasePath('/a/b'), '/a/b/');
+    assert.equal(normalizeBasePath('/'), '/');
+    assert.equal(normalizeBasePath('https://cdn.example.com/offers'), 'https://cdn.example.com/offers/');
+});
+
+test('rewriteBasePath: rewrites URLs that start with the campaign', () => {
+    const html = '<a href="/starter/checkout/">x</a><img src=\'/starter/images/a.jpg\' srcset="/starter/a.jpg 1x,/starter/b.jpg 2x">';
+    assert.equal(rewriteBasePath(html, 'starter', '/offers/'),
+        '<a href="/offers/checkout/">x</a><img src=\'/offers/images/a.jpg\' srcset="/offers/a.jpg 1x,/offers/b.jpg 2x">');
+    assert.equal(rewriteBasePath('body { background: url(/starter/bg.png) }', 'starter', '/'), 'body { background: url(/bg.png) }');
+    assert.equal(rewriteBasePath('<a href="/other/starter/">', 'starter', '/offers/'), '<a href="/other/starter/">');
+});
+
+// ---------------------------------------------------------------------------
+// createTarball
+// ---------------------------------------------------------------------------
+
+test('createTarball: round-trips files, including long paths', () => {
+    const long = `${'nested/'.repeat(20)}file.txt`;
+    const files = readTarball(createTarball([
+        { name: 'index.html', content: '<p>hi</p>' },
+        { name: long, content: Buffer.from('x'.repeat(600)) },
+    ]));
+    assert.deepEqual(Object.keys(files), ['index.html', long]);
+    assert.equal(files['index.html'], '<p>hi</p>');
+    assert.equal(files[long].length, 600);
+});
+
+// ---------------------------------------------------------------------------
+// exportCampaigns
+// ---------------------------------------------------------------------------
+
+test('exportCampaigns: writes a self-contained archive per campaign with checksums', async () => {
+    await withTmpDir(async (dir) => {
+        const srcPath = path.join(dir, 'src');
+        const exportPath = path.join(dir, 'exports');
+
+        writeFixture(srcPath, 'starter/index.html', '---\ntitle: Home\npage_type: product\n---\n<a href="{{ \'checkout.html\' | campaign_link }}">go</a>');
+        writeFixture(srcPath, 'starter/assets/css/app.css', 'body { background: url(/starter/bg.png) }');
+        writeFixture(srcPath, 'other/index.html', '---\ntitle: Other\npage_type: product\n---\n<p>other</p>');
+
+        const archives = await exportCampaigns({
+            srcPath, exportPath, basePath: 'offers',
+            campaigns: { starter: { name: 'Starter' }, other: { name: 'Other' } },
+        });
+
+        assert.deepEqual(archives.map(a => [a.slug, a.files]), [['starter', 2], ['other', 1]]);
+        const files = readTarball(fs.readFileSync(path.join(exportPath, 'starter.tar.gz')));
+        assert.deepEqual(Object.keys(files), ['css/app.css', 'index.html', 'SHA256SUMS']);
+        assert.equal(files['index.html'], '<a href="/offers/checkout/">go</a>');
+        assert.equal(files['css/app.css'], 'body { background: url(/offers/bg.png) }');
+        assert.equal(files.SHA256SUMS, [
+            `${hashContent(files['css/app.css'])}  css/app.css`,
+            `${hashContent(files['index.html'])}  index.html`,
+            '',
+        ].join('\n'));
+    });
+});
+
+test('exportCampaigns: refuses pages written outside their campaign', async () => {
+    await withTmpDir(async (dir) => {
+        const srcPath = path.join(dir, 'src');
+        const exportPath = path.join(dir, 'exports');
+
+        writeFixture(srcPath, 'starter/stray.html', '---\ntitle: Stray\npage_type: product\npermalink: /elsewhere/\n---\n<p>x</p>');
+
+        await assert.rejects(exportCampaigns({
+            srcPath, exportPath,
+            campaigns: { starter: { name: 'Starter' } },
+            config: { validation: { permalinks: 'warn' } },
+        }), /outside their campaign's directory: starter\/stray.html → elsewhere\/index.html/);
+        assert.ok(!fs.existsSync(exportPath));
+    });
+});
+
+test('exportCampaigns: refuses to export a failing build', async () => {
+    await withTmpDir(async (dir) => {
+        const srcPath = path.join(dir, 'src');
+        writeFixture(srcPath, 'starter/index.html', '---\ntitle: Home\npage_type: product\n---\n{% if %}');
+
+        await assert.rejects(exportCampaigns({
+            srcPath, exportPath: path.join(dir, 'exports'), campaigns: { starter: { name: 'Starter' } },
+        }), /Build failed with 1 error, nothing exported/);
+    });
+});
+
+test('exportCampaigns: keeps assets in the archive rather than on the asset host', async () => {
+    await withTmpDir(async (dir) => {
+        const srcPath = path.join(dir, 'src');
+        const exportPath = path.join(dir, 'exports');
+        writeFixture(srcPath, 'starter/index.html',
+            '---\ntitle: Home\npage_type: product\n---\n{{ \'checkout.html\' | campaign_link }}|{{ \'a.css\' | campaign_asset }}');
+
+        await exportCampaigns({
+            srcPath, exportPath,
+            campaigns: { starter: { name: 'Starter' } },
+            config: { base_path: '/offers/', asset_base_url: 'https://cdn.example.com/' },
+        });
+
+        const files = readTarball(fs.readFileSync(path.join(exportPath, 'starter.tar.gz')));
+        assert.equal(files['index.html'], '/offers/starter/checkout/|/offers/starter/a.css');
+    });
+});
+
+test('exportCampaigns: updates integrity hashes of rewritten scripts and styles', async () => {
+    await withTmpDir(async (dir) => {
+        const srcPath = path.join(dir, 'src');
+        const exportPath = path.join(dir, 'exports');
+        writeFixture(srcPath, 'starter/assets/css/app.css', 'body { background: url(/starter/bg.png) }');
+        writeFixture(srcPath, 'starter/index.html',
+            '---\ntitle: Home\npage_type: product\n---\n{{ \'css/app.css\' | campaign_integrity }}');
+
+        await exportCampaigns({ srcPath, exportPath, basePath: '/offers/', campaigns: { starter: { name: 'Starter' } } });
+
+        const files = readTarball(fs.readFileSync(path.join(exportPath, 'starter.tar.gz')));
+        assert.equal(files['index.html'], integrityOf(files['css/app.css']));
+    });
+});
+
+test('exportCampaigns: computes the Content Security Policy from the rewritten pages', async () => {
+    await withTmpDir(async (dir) => {
+        const srcPath = path.join(dir, 'src');
+        const exportPath = path.join(dir, 'exports');
+        writeFixture(srcPath, 'starter/index.html',
+            '---\ntitle: Home\npage_type: product\n---\n<html><head></head><body><script>location.href = \'{{ \'checkout.html\' | campaign_link }}\';</script></body></html>');
+
+        await exportCampaigns({
+            srcPath, exportPath, basePath: '/offers/',
+            campaigns: { starter: { name: 'Starter', csp: { headers: true } } },
+        });
+
+        const files = readTarball(fs.readFileSync(path.join(exportPath, 'starter.tar.gz')));
+        const script = "location.href = '/offers/checkout/';";
+        assert.ok(files['index.html'].includes(script));
+        const hash = `'sha256-${crypto.createHash('sha256').update(script).digest('base64')}'`;
+        assert.ok(files['index.html'].includes(hash), 'meta tag has the hash of the rewritten script');
+        assert.match(files._headers, /^# campaign-csp: starter\n\/offers\/\*\n {2}Content-Security-Policy: /);
+        assert.ok(files._headers.includes(hash));
+        assert.match(files.SHA256SUMS, / {2}_headers\n/);
+    });
+});
@@ -0,0 +1,138 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { validateFunnel } = require('../lib/engine/funnel');
+
+// ---------------------------------------------------------------------------
+// Helpers
+// ---------------------------------------------------------------------------
+
+const CAMPAIGN = { slug: 'starter', name: 'Starter' };
+
+function page(relFile, frontmatter) {
+    const name = relFile.replace(/^starter\//, '').replace(/\.html$/, '');
+    const url = name === 'index' ? '/starter/' : `/starter/${name}/`;
+    return { relFile, url, frontmatter, campaign: CAMPAIGN };
+}
+
+const messages = (issues) => issues.map(i => `${i.file}: ${i.message}`);
+
+// ---------------------------------------------------------------------------
+// validateFunnel — pure unit tests
+// ---------------------------------------------------------------------------
+
+test('validateFunnel: accepts a complete checkout → upsell → receipt chain', () => {
+    const issues = validateFunnel([
+        page('starter/index.html', { page_type: 'product' }),
+        page('starter/checkout.html', { page_type: 'checkout', next_success_url: 'upsell.html' }),
+        page('starter/upsell.html', {
+            page_type: 'upsell', next_upsell_accept: 'receipt.html', next_upsell_decline: 'receipt.html',
+        }),
+        page('starter/receipt.html', { page_type: 'receipt' }),
+    ]);
+    assert.deepEqual(issues, []);
+});
+
+test('validateFunnel: reports targets that are not pages of the campaign', () => {
+    const issues = validateFunnel([
+        page('starter/checkout.html', { page_type: 'checkout', next_success_url: 'upsel.html' }),
+    ]);
+    assert.deepEqual(messages(issues), [
+        'starter/checkout.html: next_success_url "upsel.html" resolves to /starter/upsel/, which is not a page of this campaign',
+    ]);
+});
+
+test('validateFunnel: ignores external URLs and absolute paths outside the campaign', () => {
+    const issues = validateFunnel([
+        page('starter/checkout.html', { page_type: 'checkout', next_success_url: 'https://example.com/thanks' }),
+        page('starter/upsell.html', {
+            page_type: 'upsell', next_upsell_accept: '/other/receipt/', next_upsell_decline: '/other/receipt/',
+        }),
+    ]);
+    assert.deepEqual(messages(issues), [
+        'starter/upsell.html: upsell page /starter/upsell/ is not reachable from any checkout page',
+    ]);
+});
+
+test('validateFunnel: reports upsells missing a decline as dead ends', () => {
+    const issues = validateFunnel([
+        page('starter/checkout.html', { page_type: 'checkout', next_success_url: 'upsell.html' }),
+        page('starter/upsell.html', { page_type: 'upsell', next_upsell_accept: 'receipt.html' }),
+        page('starter/receipt.html', { page_type: 'receipt' }),
+    ]);
+    assert.deepEqual(messages(issues), [
+        'starter/upsell.html: upsell page is a dead end: next_upsell_decline is not set',
+    ]);
+});
+
+test('validateFunnel: reports chains that end before a receipt', () => {
+    const issues = validateFunnel([
+        page('starter/checkout.html', { page_type: 'checkout', next_success_url: 'index.html' }),
+        page('starter/index.html', { page_type: 'product' }),
+    ]);
+    assert.deepEqual(messages(issues), [
+        'starter/index.html: funnel dead end: product page /starter/ does not lead to a receipt',
+    ]);
+});
+
+test('validateFunnel: reports loops', () => {
+    const issues = validateFunnel([
+        page('starter/checkout.html', { page_type: 'checkout', next_success_url: 'upsell-1.html' }),
+        page('starter/upsell-1.html', {
+            page_type: 'upsell', next_upsell_accept: 'upsell-2.html', next_upsell_decline: 'receipt.html',
+        }),
+        page('starter/upsell-2.html', {
+            page_type: 'upsell', next_upsell_accept: 'upsell-1.html', next_upsell_decline: 'receipt.html',
+        }),
+        page('starter/receipt.html', { page_type: 'receipt' }),
+    ]);
+    assert.deepEqual(messages(issues), [
+        'starter/upsell-2.html: funnel loops back on itself: /starter/upsell-1/ → /starter/upsell-2/ → /starter/upsell-1/',
+    ]);
+});
+
+test('validateFunnel: reports receipts no checkout reaches', () => {
+    const issues = validateFunnel([
+        page('starter/checkout.html', { page_type: 'checkout', next_success_url: 'receipt.html' }),
+        page('starter/receipt.html', { page_type: 'receipt' }),
+        page('starter/receipt-old.html', { page_type: 'receipt' }),
+    ]);
+    assert.deepEqual(messages(issues), [
+        'starter/receipt-old.html: receipt page /starter/receipt-old/ is not reachable from any checkout page',
+    ]);
+});
+
+test('validateFunnel: resolves links relative to nested pages', () => {
+    const issues = validateFunnel([
+        page('starter/offers/checkout.html', { page_type: 'checkout', next_success_url: '../receipt.html' }),
+        page('starter/receipt.html', { page_type: 'receipt' }),
+    ]);
+    assert.deepEqual(issues, []);
+});
+
+test('validateFunnel: split-test variants of upsells need no inbound link', () => {
+    const upsell = page('starter/upsell.html', {
+        page_type: 'upsell', next_upsell_accept: 'receipt.html', next_upsell_decline: 'receipt.html',
+    });
+    const issues = validateFunnel([
+        page('starter/checkout.html', { page_type: 'checkout', next_success_url: 'upsell.html' }),
+        upsell,
+        { ...upsell, variant: 'b', url: '/starter/upsell/b/' },
+        page('starter/receipt.html', { page_type: 'receipt' }),
+    ]);
+    assert.deepEqual(issues, []);
+});
+
+test('validateFunnel: flags dead ends, loops and unreachable pages as flow findings', () => {
+    const issues = validateFunnel([
+        page('starter/checkout.html', { page_type: 'checkout', next_success_url: 'upsel.html' }),
+        page('starter/upsell.html', { page_type: 'upsell', next_upsell_accept: 'receipt.html' }),
+        page('starter/receipt.html', { page_type: 'receipt' }),
+    ]);
+    assert.deepEqual(issues.map(i => [i.file, i.flow]), [
+        ['starter/checkout.html', false],
+        ['starter/upsell.html', true],
+        ['starter/upsell.html', true],
+        ['starter/receipt.html', true],
+    ]);
+});
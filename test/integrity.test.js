@@ -0,0 +1,92 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const os = require('os');
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const { parseIntegrityArgs } = require('../lib/actions/integrity');
+const {
+    integrityOf, loadLock, writeLock, integritySources, refreshLock, externalIntegrity,
+} = require('../lib/engine/integrity');
+
+// ---------------------------------------------------------------------------
+// Helpers
+// ---------------------------------------------------------------------------
+
+const SWIPER = 'https://cdn.jsdelivr.net/npm/swiper@11/swiper-bundle.min.js';
+
+function withTmpDir(fn) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'next-campaign-test-'));
+    try {
+        return fn(dir);
+    } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+}
+
+// ---------------------------------------------------------------------------
+// Hashes and settings — pure unit tests
+// ---------------------------------------------------------------------------
+
+test('integrityOf: gives a sha384 integrity value', () => {
+    const digest = crypto.createHash('sha384').update('alert(1)').digest('base64');
+    assert.equal(integrityOf('alert(1)'), `sha384-${digest}`);
+});
+
+test('integritySources: resolves local copies against the project root', () => {
+    assert.deepEqual(integritySources({ integrity: { [SWIPER]: 'vendor/swiper.js' } }, '/project'),
+        { [SWIPER]: path.resolve('/project', 'vendor/swiper.js') });
+    assert.deepEqual(integritySources({}, '/project'), {});
+    assert.throws(() => integritySources({ integrity: ['vendor/swiper.js'] }, '/project'), /must map URLs/);
+    assert.throws(() => integritySources({ integrity: { 'js/app.js': 'a.js' } }, '/project'), /"js\/app.js" is not a URL/);
+    assert.throws(() => integritySources({ integrity: { [SWIPER]: true } }, '/project'), /must name a local copy/);
+});
+
+test('parseIntegrityArgs: reads check mode and file locations', () => {
+    assert.deepEqual(parseIntegrityArgs(['--check', '--lock', 'a.json']),
+        { check: true, configPath: undefined, lockPath: 'a.json', help: false });
+    assert.throws(() => parseIntegrityArgs(['--fetch']), /Unknown option/);
+});
+
+// ---------------------------------------------------------------------------
+// Lockfile
+// ---------------------------------------------------------------------------
+
+test('refreshLock: hashes local copies and lists what changed', () => {
+    withTmpDir((dir) => {
+        const copy = path.join(dir, 'swiper.js');
+        fs.writeFileSync(copy, 'swiper v11.1');
+        const lockPath = path.join(dir, 'integrity.lock.json');
+        writeLock(lockPath, { [SWIPER]: 'sha384-old', 'https://example.com/gone.js': 'sha384-gone' });
+
+        const { lock, added, updated, removed } = refreshLock(loadLock(lockPath), { [SWIPER]: copy });
+
+        assert.deepEqual(lock, { [SWIPER]: integrityOf('swiper v11.1') });
+        assert.deepEqual([added, updated, removed], [[], [SWIPER], ['https://example.com/gone.js']]);
+        assert.throws(() => refreshLock({}, { [SWIPER]: path.join(dir, 'nope.js') }), /Local copies not found: .*nope.js/);
+    });
+});
+
+test('loadLock: a missing lockfile is empty, an invalid one throws', () => {
+    withTmpDir((dir) => {
+        const lockPath = path.join(dir, 'integrity.lock.json');
+        assert.deepEqual(loadLock(lockPath), {});
+        fs.writeFileSync(lockPath, '["sha384-x"]');
+        assert.throws(() => loadLock(lockPath), /expected an object of URLs and hashes/);
+    });
+});
+
+test('externalIntegrity: reads the lock and fails when the local copy changed', () => {
+    withTmpDir((dir) => {
+        const copy = path.join(dir, 'swiper.js');
+        fs.writeFileSync(copy, 'swiper v11.1');
+        const integrity = { lock: { [SWIPER]: integrityOf('swiper v11.1') }, sources: { [SWIPER]: copy } };
+
+        assert.equal(externalIntegrity(SWIPER, integrity), integrityOf('swiper v11.1'));
+        assert.throws(() => externalIntegrity('https://example.com/a.js', integrity), /has no hash in integrity.lock.json/);
+
+        fs.writeFileSync(copy, 'swiper v11.2');
+        assert.throws(() => externalIntegrity(SWIPER, integrity), /does not match its hash in integrity.lock.json/);
+    });
+});
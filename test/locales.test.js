@@ -0,0 +1,60 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { expandLocales, pageTranslations, translate } = require('../lib/engine/locales');
+const { resolveLink } = require('../lib/engine/urls');
+
+// ---------------------------------------------------------------------------
+// Helpers
+// ---------------------------------------------------------------------------
+
+const CAMPAIGN = { slug: 'starter', name: 'Starter' };
+const MESSAGES = {
+    en: { checkout: { title: 'Checkout', items: '{count} items' }, cta: 'Buy now' },
+    de: { checkout: { title: 'Kasse', items: '{count} Artikel' } },
+};
+
+function page(relFile, url, extra = {}) {
+    return { relFile, url, outputFile: `/out${url}index.html`, frontmatter: {}, campaign: CAMPAIGN, ...extra };
+}
+
+// ---------------------------------------------------------------------------
+// expandLocales / resolveLink — URLs
+// ---------------------------------------------------------------------------
+
+test('expandLocales: adds one page per non-default locale under /[slug]/<locale>/', () => {
+    const pages = expandLocales(page('starter/checkout.html', '/starter/checkout/'), ['de', 'en', 'fr'], '/out');
+    assert.deepEqual(pages.map(p => [p.locale, p.url, p.outputFile]), [
+        [undefined, '/starter/checkout/', '/out/starter/checkout/index.html'],
+        ['de', '/starter/de/checkout/', '/out/starter/de/checkout/index.html'],
+        ['fr', '/starter/fr/checkout/', '/out/starter/fr/checkout/index.html'],
+    ]);
+});
+
+test('expandLocales: honours the campaign default locale', () => {
+    const campaign = { ...CAMPAIGN, default_locale: 'de' };
+    const pages = expandLocales(page('starter/index.html', '/starter/', { campaign }), ['de', 'en'], '/out');
+    assert.deepEqual(pages.map(p => p.url), ['/starter/', '/starter/en/']);
+});
+
+test('resolveLink: relative references stay in the locale, absolute ones do not', () => {
+    assert.equal(resolveLink('checkout.html', 'starter', 'offers', 'de'), '/starter/de/offers/checkout/');
+    assert.equal(resolveLink('index.html', 'starter', '', 'de'), '/starter/de/');
+    assert.equal(resolveLink('/starter/checkout/', 'starter', '', 'de'), '/starter/checkout/');
+});
+
+// ---------------------------------------------------------------------------
+// translate — dictionaries
+// ---------------------------------------------------------------------------
+
+test('translate: looks up dot paths and fills placeholders', () => {
+    const i18n = pageTranslations(page('starter/index.html', '/starter/de/', { locale: 'de' }), MESSAGES, []);
+    assert.deepEqual(translate(i18n, 'checkout.title'), { text: 'Kasse', missing: false });
+    assert.deepEqual(translate(i18n, 'checkout.items', { count: 3 }), { text: '3 Artikel', missing: false });
+});
+
+test('translate: missing keys fall back to the default locale, then the key', () => {
+    const i18n = pageTranslations(page('starter/index.html', '/starter/de/', { locale: 'de' }), MESSAGES, []);
+    assert.deepEqual(translate(i18n, 'cta'), { text: 'Buy now', missing: true });
+    assert.deepEqual(translate(i18n, 'nope.key'), { text: 'nope.key', missing: true });
+});
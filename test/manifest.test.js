@@ -0,0 +1,37 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const os = require('os');
+const fs = require('fs');
+const path = require('path');
+
+const { readManifest, writeManifest } = require('../lib/engine/manifest');
+
+function withTmpDir(fn) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'next-campaign-test-'));
+    return Promise.resolve(fn(dir)).finally(() => fs.rmSync(dir, { recursive: true, force: true }));
+}
+
+// ---------------------------------------------------------------------------
+// readManifest / writeManifest — filesystem
+// ---------------------------------------------------------------------------
+
+test('readManifest: returns an empty manifest when none exists', async () => {
+    await withTmpDir((dir) => {
+        assert.deepEqual(readManifest(dir), { campaigns: {} });
+    });
+});
+
+test('writeManifest: replaces built campaigns and keeps the others', async () => {
+    await withTmpDir((dir) => {
+        writeManifest(dir, {
+            a: { pages: [{ source: 'a/index.html' }], assets: [] },
+            b: { pages: [{ source: 'b/index.html' }], assets: [] },
+        });
+        writeManifest(dir, { a: { pages: [{ source: 'a/new.html' }], assets: [] } });
+
+        const manifest = readManifest(dir);
+        assert.deepEqual(manifest.campaigns.a.pages, [{ source: 'a/new.html' }]);
+        assert.deepEqual(manifest.campaigns.b.pages, [{ source: 'b/index.html' }]);
+        assert.ok(manifest.generated_at);
+    });
+});
@@ -0,0 +1,74 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { resolveSchema, validateFrontmatter } = require('../lib/engine/schema');
+
+// ---------------------------------------------------------------------------
+// Helpers
+// ---------------------------------------------------------------------------
+
+const CAMPAIGN = { slug: 'starter', name: 'Starter' };
+
+const messages = (frontmatter, schema = resolveSchema({}, CAMPAIGN)) =>
+    validateFrontmatter(frontmatter, schema).map(i => i.message);
+
+// ---------------------------------------------------------------------------
+// validateFrontmatter — built-in schema
+// ---------------------------------------------------------------------------
+
+test('validateFrontmatter: accepts the documented fields', () => {
+    assert.deepEqual(messages({
+        page_layout: 'base.html',
+        title: 'Checkout',
+        page_type: 'checkout',
+        next_success_url: 'upsell.html',
+        styles: ['css/offer.css'],
+        scripts: ['js/offer.js'],
+        footer: true,
+    }), []);
+});
+
+test('validateFrontmatter: reports missing required fields', () => {
+    assert.deepEqual(messages({}), [
+        'missing required field "title"',
+        'missing required field "page_type"',
+    ]);
+});
+
+test('validateFrontmatter: suggests the field a typo was meant to be', () => {
+    assert.deepEqual(messages({ title: 'Home', page_type: 'product', page_tpye: 'product', foo: 1 }), [
+        'unknown field "page_tpye" (did you mean "page_type"?)',
+        'unknown field "foo"',
+    ]);
+});
+
+test('validateFrontmatter: checks types, enums and array items', () => {
+    assert.deepEqual(messages({ title: 'Home', page_type: 'chekout', styles: 'a.css', scripts: ['a.js', 2], footer: 'yes' }), [
+        'field "page_type" must be one of product, checkout, upsell, receipt, got "chekout"',
+        'field "styles" must be an array, got string',
+        'field "scripts" must only contain string values',
+        'field "footer" must be a boolean, got string',
+    ]);
+});
+
+// ---------------------------------------------------------------------------
+// resolveSchema — extensions
+// ---------------------------------------------------------------------------
+
+test('resolveSchema: project and campaign fields extend and override the built-ins', () => {
+    const schema = resolveSchema(
+        { frontmatter: { hero_image: { type: 'string' } } },
+        { ...CAMPAIGN, frontmatter: { page_type: { type: 'string', required: true, enum: ['product', 'presale'] } } }
+    );
+    assert.deepEqual(messages({ title: 'Home', page_type: 'presale', hero_image: 'hero.jpg' }, schema), []);
+    assert.deepEqual(messages({ title: 'Home', page_type: 'receipt' }, schema), [
+        'field "page_type" must be one of product, presale, got "receipt"',
+    ]);
+});
+
+test('resolveSchema: rejects field definitions without a valid type', () => {
+    assert.throws(
+        () => resolveSchema({}, { ...CAMPAIGN, frontmatter: { hero_image: { type: 'text' } } }),
+        /Invalid frontmatter field "hero_image" in campaign "starter"/
+    );
+});